@@ -8,10 +8,19 @@ module.exports = function(grunt) {
 			angular: {
 				src: 'angular-main.js',
 				dest: 'dist/jsro-angular-' + pkg.version + '.js'
+			},
+			browser: {
+				src: 'browser-main.js',
+				dest: 'dist/jsro-' + pkg.version + '.js',
+				options: {
+					browserifyOptions: {
+						standalone: 'jsro'
+					}
+				}
 			}
 		},
 		jshint: {
-			files: ['*.js'],
+			files: ['*.js', 'tests/**/*.js'],
 			options: {
 				jshintrc: true
 			}
@@ -13,11 +13,12 @@ function Context($http, $timeout, $q) {
 	 * @param method the request method, e.g. 'GET', 'POST', etc.
 	 * @param url the url of the JSRO server
 	 * @param [data] optional data to send with the request
+	 * @param [headers] optional additional request headers indexed by name
 	 * @returns {promise} a promise for the request result; the promise
 	 * will also have a function property, 'abort' which will cause
 	 * the request to be aborted
 	 */
-	this.request = function(method, url, data) {
+	this.request = function(method, url, data, headers) {
 		// configure the request
 		var deferredTimeout = $q.defer();
 		var requestConfig = {
@@ -28,6 +29,9 @@ function Context($http, $timeout, $q) {
 		if (data) {
 			requestConfig.data = data;
 		}
+		if (headers) {
+			requestConfig.headers = headers;
+		}
 
 		// perform the request
 		var requestPromise = $http(requestConfig).then(function(response) {
@@ -40,6 +44,24 @@ function Context($http, $timeout, $q) {
 		return requestPromise;
 	};
 
+	/**
+	 * Opens a WebSocket.
+	 * @param url the url of the socket, using the ws: or wss: scheme
+	 * @returns {WebSocket} a new socket
+	 */
+	this.openWebSocket = function(url) {
+		return new WebSocket(url);
+	};
+
+	/**
+	 * Opens an EventSource.
+	 * @param url the url of the event stream
+	 * @returns {EventSource} a new event source
+	 */
+	this.openEventSource = function(url) {
+		return new EventSource(url);
+	};
+
 	/**
 	 * Schedules a function to be called after the specified delay.
 	 * @param fn the callback function
@@ -82,16 +104,17 @@ angular.module('jsro', []).factory('jsroService', [
 		/**
 		 * Creates a connection to a JSRO server.
 		 * @param url the url of the JSRO server
-		 * @param [pollTimeout] the poll timeout in milliseconds; if a poll
-		 * request has not received a response in this amount of time, a
-		 * new poll request will be issued
+		 * @param [options] connection options (see connection.establish()),
+		 * or the poll timeout in milliseconds
 		 * @returns {promise} a promise for a connection to the JSRO server
 		 */
-		function connect(url, pollTimeout) {
-			return connection.establish(url, context, pollTimeout);
+		function connect(url, options) {
+			return connection.establish(url, context, options);
 		}
 
 		// provide the connect function
 		return connect;
 	}
-]);
+]).constant('jsroErrors', require('./errors.js'))
+	.constant('jsroStorage', require('./storage.js'))
+	.constant('jsroCodec', require('./codec.js'));
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Creates an interceptor which authenticates a connection's HTTP requests
+ * with tokens from a token provider, retrying a request once with a fresh
+ * token if the server rejects it as unauthorized.
+ * @param auth normalized auth options (see connection.establish())
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param onUnauthorized a function to invoke with the error if a request is
+ * still unauthorized after the token has been refreshed, or refreshing it
+ * failed
+ * @returns {Object} an interceptor with an 'http' hook
+ */
+module.exports.interceptor = function(auth, context, onUnauthorized) {
+	/**
+	 * Gets a token from the provider and puts it in a request's headers.
+	 * @param request the request
+	 * @param refresh true if the current token was rejected
+	 * @returns {promise} a promise which resolves once the request is ready
+	 */
+	function authorize(request, refresh) {
+		var deferredToken = context.defer();
+		try {
+			deferredToken.resolve(auth.token(refresh));
+		} catch (e) {
+			deferredToken.reject(e);
+		}
+		return deferredToken.promise.then(function(token) {
+			if (token !== undefined && token !== null) {
+				request.headers[auth.header] = auth.scheme ?
+					auth.scheme + ' ' + token :
+					String(token);
+			} else {
+				delete request.headers[auth.header];
+			}
+		});
+	}
+
+	return {
+		http: function(request, next) {
+			return authorize(request, false).then(function() {
+				return next(request);
+			}).then(undefined, function(error) {
+				if (!error || error.status !== 401) {
+					throw error;
+				}
+
+				// try again with a fresh token, if we can get one
+				return authorize(request, true).then(undefined, function(e) {
+					onUnauthorized(e);
+					throw e;
+				}).then(function() {
+					return next(request).then(undefined, function(e) {
+						if (e && e.status === 401) {
+							onUnauthorized(e);
+						}
+						throw e;
+					});
+				});
+			});
+		}
+	};
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * The name under which the extended JSON codec is negotiated with servers.
+ */
+var NAME = 'jsro-ext';
+
+/**
+ * Names of the typed array types the codec knows how to transfer.
+ */
+var TYPED_ARRAYS = [
+	'Int8Array',
+	'Uint8Array',
+	'Uint8ClampedArray',
+	'Int16Array',
+	'Uint16Array',
+	'Int32Array',
+	'Uint32Array',
+	'Float32Array',
+	'Float64Array',
+	'BigInt64Array',
+	'BigUint64Array'
+];
+
+/**
+ * Characters used for base64 encoding.
+ */
+var BASE64 =
+	'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Creates a new extended JSON codec. The codec encodes values which JSON
+ * can't represent (undefined, NaN and the infinities, Dates, BigInts,
+ * ArrayBuffers and typed arrays, Maps and Sets, and any types registered
+ * with the codec) as tagged objects of the form {$jsro: tag, value: ...}
+ * before they are sent, and decodes them again when they are received.
+ * @returns {Codec}
+ */
+module.exports.create = function() {
+	return new Codec();
+};
+
+/**
+ * The name under which the extended JSON codec is negotiated with servers.
+ */
+module.exports.NAME = NAME;
+
+/**
+ * An extended JSON codec.
+ * @constructor
+ */
+function Codec() {
+	var self = this;
+
+	// registered custom type handlers, in order of registration
+	var handlers = [];
+
+	/**
+	 * The name under which this codec is negotiated with servers.
+	 */
+	self.name = NAME;
+
+	/**
+	 * Registers a handler for a custom type.
+	 * @param {string} tag the tag identifying values of the type on the wire;
+	 * the server must know it as well
+	 * @param handler an object with 'test' (a function returning whether a
+	 * value is of the type), 'encode' (a function converting a value of the
+	 * type to something the codec can encode) and 'decode' (a function
+	 * converting the decoded form back to a value of the type) functions
+	 */
+	self.register = function(tag, handler) {
+		if (typeof tag !== 'string') {
+			throw new Error('"tag" not a string');
+		}
+		if (!(handler.test instanceof Function) ||
+			!(handler.encode instanceof Function) ||
+			!(handler.decode instanceof Function)) {
+			throw new Error('handler must have test, encode and decode ' +
+				'functions');
+		}
+		handlers.push({tag: tag, handler: handler});
+	};
+
+	/**
+	 * Encodes a value so it can be sent as JSON. The value is not modified.
+	 * @param value the value to encode
+	 * @returns {*} the encoded value
+	 */
+	self.encode = function(value) {
+		// custom types come first
+		for (var i = 0; i < handlers.length; i++) {
+			if (handlers[i].handler.test(value)) {
+				return tagged(
+					handlers[i].tag,
+					self.encode(handlers[i].handler.encode(value)));
+			}
+		}
+
+		if (value === undefined) {
+			return {$jsro: 'undefined'};
+		}
+		var type = typeof value;
+		if (type === 'number') {
+			return isFinite(value) ? value : tagged('number', String(value));
+		}
+		if (type === 'bigint') {
+			return tagged('BigInt', value.toString());
+		}
+		if (type !== 'object' || value === null) {
+			return value;
+		}
+		if (Array.isArray(value)) {
+			return value.map(self.encode);
+		}
+		if (value instanceof Date) {
+			var time = value.getTime();
+			return tagged('Date', isNaN(time) ? null : time);
+		}
+		if (isA(value, 'ArrayBuffer')) {
+			return tagged('ArrayBuffer', toBase64(new Uint8Array(value)));
+		}
+		var typedArray = typedArrayName(value);
+		if (typedArray) {
+			return tagged(typedArray, toBase64(new Uint8Array(
+				value.buffer,
+				value.byteOffset,
+				value.byteLength)));
+		}
+		if (isA(value, 'Map')) {
+			var entries = [];
+			value.forEach(function(v, k) {
+				entries.push([self.encode(k), self.encode(v)]);
+			});
+			return tagged('Map', entries);
+		}
+		if (isA(value, 'Set')) {
+			var values = [];
+			value.forEach(function(v) {
+				values.push(self.encode(v));
+			});
+			return tagged('Set', values);
+		}
+
+		// a plain object; make sure it isn't mistaken for a tagged one
+		var encoded = encodeProperties(value);
+		return Object.prototype.hasOwnProperty.call(value, '$jsro') ?
+			tagged('object', encoded) :
+			encoded;
+	};
+
+	/**
+	 * Decodes a value received as JSON. The value is not modified.
+	 * @param value the value to decode
+	 * @returns {*} the decoded value
+	 */
+	self.decode = function(value) {
+		if (typeof value !== 'object' || value === null) {
+			return value;
+		}
+		if (Array.isArray(value)) {
+			return value.map(self.decode);
+		}
+		if (typeof value.$jsro !== 'string') {
+			return decodeProperties(value);
+		}
+
+		var tag = value.$jsro;
+		for (var i = 0; i < handlers.length; i++) {
+			if (handlers[i].tag === tag) {
+				return handlers[i].handler.decode(self.decode(value.value));
+			}
+		}
+
+		switch (tag) {
+			case 'undefined':
+				return undefined;
+			case 'number':
+				return Number(value.value);
+			case 'BigInt':
+				return global.BigInt(value.value);
+			case 'Date':
+				return new Date(value.value === null ? NaN : value.value);
+			case 'ArrayBuffer':
+				return fromBase64(value.value).buffer;
+			case 'Map':
+				var map = new global.Map();
+				value.value.forEach(function(entry) {
+					map.set(self.decode(entry[0]), self.decode(entry[1]));
+				});
+				return map;
+			case 'Set':
+				var set = new global.Set();
+				value.value.forEach(function(v) {
+					set.add(self.decode(v));
+				});
+				return set;
+			case 'object':
+				return decodeProperties(value.value);
+		}
+		if (TYPED_ARRAYS.indexOf(tag) >= 0 && global[tag]) {
+			return new global[tag](fromBase64(value.value).buffer);
+		}
+		throw new Error('unknown type tag: ' + tag);
+	};
+
+	/**
+	 * Encodes the own enumerable properties of an object.
+	 * @param obj the object
+	 * @returns {Object} a new object with the encoded properties
+	 */
+	function encodeProperties(obj) {
+		var encoded = {};
+		Object.keys(obj).forEach(function(key) {
+			encoded[key] = self.encode(obj[key]);
+		});
+		return encoded;
+	}
+
+	/**
+	 * Decodes the own enumerable properties of an object.
+	 * @param obj the object
+	 * @returns {Object} a new object with the decoded properties
+	 */
+	function decodeProperties(obj) {
+		var decoded = {};
+		Object.keys(obj).forEach(function(key) {
+			decoded[key] = self.decode(obj[key]);
+		});
+		return decoded;
+	}
+
+	return this;
+}
+
+/**
+ * Creates a tagged value.
+ * @param tag the type tag
+ * @param value the encoded value
+ * @returns {Object} the tagged value
+ */
+function tagged(tag, value) {
+	return {$jsro: tag, value: value};
+}
+
+/**
+ * Determines whether a value is an instance of a global type, if the
+ * environment has that type.
+ * @param value the value
+ * @param type the name of the global type
+ * @returns {boolean} true if the value is an instance of the type
+ */
+function isA(value, type) {
+	return typeof global[type] === 'function' && value instanceof global[type];
+}
+
+/**
+ * Gets the name of the typed array type of a value.
+ * @param value the value
+ * @returns {string} the name of the typed array type, or undefined if the
+ * value isn't a typed array
+ */
+function typedArrayName(value) {
+	for (var i = 0; i < TYPED_ARRAYS.length; i++) {
+		if (isA(value, TYPED_ARRAYS[i])) {
+			return TYPED_ARRAYS[i];
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Encodes bytes as base64.
+ * @param bytes a Uint8Array of the bytes to encode
+ * @returns {string} the base64 encoded bytes
+ */
+function toBase64(bytes) {
+	var out = '';
+	for (var i = 0; i < bytes.length; i += 3) {
+		// take three bytes at a time and encode them as four characters
+		var remaining = Math.min(bytes.length - i, 3);
+		var n = bytes[i] * 65536 +
+			(remaining > 1 ? bytes[i + 1] * 256 : 0) +
+			(remaining > 2 ? bytes[i + 2] : 0);
+		out += BASE64.charAt(Math.floor(n / 262144) % 64);
+		out += BASE64.charAt(Math.floor(n / 4096) % 64);
+		out += remaining > 1 ? BASE64.charAt(Math.floor(n / 64) % 64) : '=';
+		out += remaining > 2 ? BASE64.charAt(n % 64) : '=';
+	}
+	return out;
+}
+
+/**
+ * Decodes base64 encoded bytes.
+ * @param text the base64 encoded bytes
+ * @returns {Uint8Array} the decoded bytes
+ */
+function fromBase64(text) {
+	text = text.replace(/=+$/, '');
+	var bytes = new Uint8Array(Math.floor(text.length * 3 / 4));
+	var pos = 0;
+	for (var i = 0; i < text.length; i += 4) {
+		// take four characters at a time and decode them as three bytes
+		var n = 0;
+		for (var j = 0; j < 4; j++) {
+			n = n * 64 + Math.max(BASE64.indexOf(text.charAt(i + j)), 0);
+		}
+		var values = [
+			Math.floor(n / 65536) % 256,
+			Math.floor(n / 256) % 256,
+			n % 256
+		];
+		for (j = 0; j < 3 && pos < bytes.length; j++) {
+			bytes[pos++] = values[j];
+		}
+	}
+	return bytes;
+}
@@ -1,37 +1,282 @@
 'use strict';
 
+var errors = require('./errors.js');
+var util = require('./util.js');
+var PRIORITIES = require('./requestQueue.js').PRIORITIES;
+var measureJSON = require('./requestQueue.js').measureJSON;
+
+/**
+ * Default settings used when reconnection is enabled.
+ */
+var RECONNECT_DEFAULTS = {
+	retries: 5,
+	delay: 1000,
+	maxDelay: 30000,
+	factor: 2
+};
+
+/**
+ * Transport modules indexed by transport name.
+ */
+var TRANSPORTS = {
+	longpoll: require('./longPollTransport.js'),
+	websocket: require('./webSocketTransport.js'),
+	sse: require('./sseTransport.js')
+};
+
 /**
  * Connections module establishes connections and provides an interface for
  * managing established connections.
  * @param url the base url on which to perform requests for this connection
  * @param context a functionality context allowing the JSRO library to operate
  * in whatever environment it is deployed in
- * @param [pollTimeout] the poll timeout in milliseconds; if a poll
+ * @param [options] connection options, or the poll timeout in milliseconds
+ * @param [options.pollTimeout] the poll timeout in milliseconds; if a poll
  * request has not received a response in this amount of time, a
  * new poll request will be issued
- * @returns {promise} a promise for the established connection object
+ * @param [options.reconnect] true to reconnect with default settings when the
+ * connection is lost, or an object with any of the following properties:
+ * 'retries' (the number of attempts to make before giving up), 'delay' (the
+ * delay in milliseconds before the first attempt), 'factor' (the multiplier
+ * applied to the delay after each failed attempt) and 'maxDelay' (the
+ * longest delay in milliseconds between attempts)
+ * @param [options.durable] true to remember how each remote object was
+ * created so that, if the server forgets this connection's session, a new
+ * session can be established and the remote objects transparently re-created
+ * in it; implies reconnection with default settings if 'reconnect' isn't
+ * provided
+ * @param [options.offline] true to keep working while the connection is down
+ * with default settings, or an object with any of the following properties:
+ * 'buffer' (a function which is passed each request made while the
+ * connection is down and returns whether it is safe to hold it until the
+ * connection comes back, or an array of the names of the methods which are;
+ * by default, all requests are held), 'maxAge' (the number of milliseconds a
+ * held request may wait before it is rejected with a TimeoutError) and
+ * 'storage' (a storage adapter with 'save' and 'load' functions used to
+ * persist held invocations of remote objects, see the storage module, so
+ * that a later connection, e.g. after the page is reloaded, replays them on
+ * remote objects it creates or gets the way the originals were); implies
+ * reconnection which, unless configured otherwise, never gives up
+ * @param [options.invokeTimeout] the default number of milliseconds to wait
+ * for a remote method invocation to complete before rejecting it with a
+ * TimeoutError; invocations do not time out by default
+ * @param [options.streamCredit] the default number of chunks the server may
+ * send ahead of the consumer of a streaming invocation; defaults to 16
+ * @param [options.validate] true to check the arguments passed to remote
+ * methods against the parameters the server describes for them before
+ * sending the invocations, throwing a ValidationError if they don't match
+ * @param [options.transport] the transport to use for exchanging requests and
+ * messages with the server: 'longpoll' (the default), 'websocket' or 'sse'
+ * (Server-Sent Events); the latter two fall back to long polling if they
+ * cannot be opened
+ * @param [options.codec] true to offer the server the extended JSON codec
+ * (see the codec module), or a codec with custom type handlers registered;
+ * if the server accepts, arguments, results and events are passed through
+ * the codec so they can carry values plain JSON can't
+ * @param [options.interceptors] interceptors to inject behavior around the
+ * connection's traffic, including the request establishing it (see the
+ * interceptors module); more can be added with the connection's use()
+ * @param [options.auth] a token provider, or an object with the token
+ * provider as 'token' and any of the following properties: 'header' (the
+ * request header to put the token in; defaults to 'Authorization') and
+ * 'scheme' (the scheme to prefix the token with; defaults to 'Bearer', use
+ * '' for none); the token provider is called before each HTTP request,
+ * including the one establishing the connection, and returns the token (or
+ * a promise for it); if the server responds with a 401, it is called again
+ * with true to ask for a fresh token and the request is retried once; if
+ * that fails too, the connection fires an 'unauthorized' event (if the
+ * connection is established by then); only the 'longpoll' transport supports
+ * authentication, as WebSockets and EventSources can't carry the token in a
+ * header and putting it in their urls would leak it into server logs
+ * @param [options.debug] true to keep a log of the most recent requests,
+ * messages and connection events (see the connection's debugLog()), or an
+ * object with the 'size' of the log, which defaults to 200 entries
+ * @param [options.batching] an object with any of the following properties
+ * controlling how requests are batched: 'maxSize' (the most requests to send
+ * in one batch), 'maxBytes' (the most bytes of UTF-8 encoded JSON to send in
+ * one batch, unless a single request is bigger), 'delay' (the number of
+ * milliseconds to wait for more requests before sending a batch, unless a
+ * high priority request is waiting; by default, batches are unlimited and
+ * sent right away) and 'concurrency' (the most batches to send at once;
+ * defaults to 1); while a batch is on its way, requests to the same remote
+ * objects wait for it, unless invoked with the 'ordered' call option set to
+ * false; with a concurrency above 1, a batch which fails to send only fails
+ * its own requests, with a RequestFailedError, unless the server has
+ * forgotten the session
+ * @returns {promise} a promise for the established connection object, which
+ * is rejected if the options are invalid
  */
-module.exports.establish = function(url, context, pollTimeout) {
-	return context.request('GET', url).then(function(data) {
-		if (typeof data.connectionID === 'undefined') {
-			throw new Error('invalid response; expected connection ID');
-		}
-		return new Connection(url, context, data.connectionID, pollTimeout);
-	});
+module.exports.establish = function(url, context, options) {
+	try {
+		options = normalizeOptions(options, context);
+	} catch (e) {
+		// invalid options fail to establish a connection like anything else
+		var deferred = context.defer();
+		deferred.reject(e);
+		return deferred.promise;
+	}
+
+	// all HTTP requests go through the interceptors
+	context = options.interceptors.wrap(context);
+
+	return context.request('GET', establishUrl(url, options)).then(
+		function(data) {
+			if (typeof data.connectionID === 'undefined') {
+				throw new errors.ProtocolError(
+					'invalid response; expected connection ID');
+			}
+			return new Connection(
+				url,
+				context,
+				data.connectionID,
+				options,
+				negotiateCodec(options, data),
+				!!data.subscriptions);
+		});
 };
 
+/**
+ * Normalizes the options provided when establishing a connection.
+ * @param [options] connection options, or the poll timeout in milliseconds
+ * @param context the functionality context the connection operates in
+ * @returns {Object} normalized connection options
+ */
+function normalizeOptions(options, context) {
+	if (typeof options !== 'object' || options === null) {
+		// options used to just be the poll timeout
+		options = {pollTimeout: options};
+	}
+
+	var normalized = {};
+	Object.getOwnPropertyNames(options).forEach(function(name) {
+		normalized[name] = options[name];
+	});
+
+	// durable remote objects are no use if we don't reconnect
+	if (normalized.durable && !normalized.reconnect) {
+		normalized.reconnect = true;
+	}
+
+	// working offline means we keep trying to reconnect
+	if (normalized.offline) {
+		var offline = normalized.offline === true ? {} : normalized.offline;
+		var buffer = offline.buffer;
+		if (Array.isArray(buffer)) {
+			buffer = bufferMethods(buffer);
+		}
+		normalized.offline = {
+			buffer: buffer || function() {
+				return true;
+			},
+			maxAge: offline.maxAge > 0 ? offline.maxAge : undefined,
+			storage: offline.storage
+		};
+		normalized.reconnect = normalized.reconnect || true;
+	}
+
+	// fill in reconnection defaults
+	if (normalized.reconnect) {
+		var reconnect = {};
+		Object.getOwnPropertyNames(RECONNECT_DEFAULTS).forEach(function(name) {
+			var value = normalized.reconnect[name];
+			reconnect[name] = typeof value === 'number' && value >= 0 ?
+				value :
+				RECONNECT_DEFAULTS[name];
+		});
+
+		// when working offline, we never give up unless told to
+		if (normalized.offline &&
+			typeof normalized.reconnect.retries !== 'number') {
+			reconnect.retries = Infinity;
+		}
+		normalized.reconnect = reconnect;
+	}
+
+	// offer the built-in codec if asked to
+	if (normalized.codec === true) {
+		normalized.codec = require('./codec.js').create();
+	}
+
+	// batches are unlimited unless configured otherwise
+	var batching = normalized.batching || {};
+	normalized.batching = {
+		maxSize: batching.maxSize > 0 ? batching.maxSize : undefined,
+		maxBytes: batching.maxBytes > 0 ? batching.maxBytes : undefined,
+		delay: batching.delay > 0 ? batching.delay : 0,
+		concurrency: batching.concurrency >= 1 ?
+			Math.floor(batching.concurrency) :
+			1
+	};
+
+	// size the debug log
+	if (normalized.debug) {
+		normalized.debug = {
+			size: normalized.debug.size > 0 ? normalized.debug.size : 200
+		};
+	}
+
+	// set up the interceptor pipeline
+	normalized.interceptors =
+		require('./interceptors.js').create(normalized.interceptors);
+
+	// authenticate requests if asked to
+	if (normalized.auth) {
+		var auth = normalized.auth instanceof Function ?
+			{token: normalized.auth} :
+			normalized.auth;
+		if (!(auth.token instanceof Function)) {
+			throw new Error('auth token provider not a function');
+		}
+		normalized.auth = {
+			token: auth.token,
+			header: auth.header || 'Authorization',
+			scheme: typeof auth.scheme === 'string' ? auth.scheme : 'Bearer',
+			onUnauthorized: undefined
+		};
+		normalized.interceptors.add(require('./auth.js').interceptor(
+			normalized.auth,
+			context,
+			function(error) {
+				// the connection listens in once it's established
+				if (normalized.auth.onUnauthorized) {
+					normalized.auth.onUnauthorized(error);
+				}
+			}));
+	}
+
+	// make sure we know the transport
+	normalized.transport = normalized.transport || 'longpoll';
+	if (!TRANSPORTS[normalized.transport]) {
+		throw new Error('unknown transport: ' + normalized.transport);
+	}
+
+	// the other transports' message channels couldn't be authenticated
+	if (normalized.auth && normalized.transport !== 'longpoll') {
+		throw new Error('auth not supported with the ' +
+			normalized.transport + ' transport');
+	}
+
+	return normalized;
+}
+
 /**
  * A connection to a JSRO-capable server.
  * @param url the base url on which to perform requests for this connection
  * @param context a functionality context allowing the JSRO library to operate
  * in whatever environment it is deployed in
  * @param connectionID the ID of this connection
- * @param [pollTimeout] the poll timeout in milliseconds; if a poll
- * request has not received a response in this amount of time, a
- * new poll request will be issued
+ * @param options normalized connection options (see establish())
+ * @param [codec] the codec agreed with the server, if any
+ * @param [filtering] true if the server only sends the events of remote
+ * objects which this client subscribes to
  * @constructor
  */
-function Connection(url, context, connectionID, pollTimeout) {
+function Connection(url,
+					context,
+					connectionID,
+					options,
+					codec,
+					filtering) {
 	var self = this;
 
 	// normalize url (i.e. add a trailing slash if it doesn't have one)
@@ -42,30 +287,111 @@ function Connection(url, context, connectionID, pollTimeout) {
 	// keep track of whether we're still connected
 	var connected = true;
 
+	// the lifecycle state reported to the user
+	var state = 'open';
+
+	// if we're shutting down gracefully, the deferred result of the shutdown,
+	// the token for the timeout after which we stop waiting and the token for
+	// the next check whether we're done
+	var closing;
+	var closingToken;
+	var closingCheckToken;
+
+	// the deferred result of deleting our session on the server, once closed
+	var closed;
+
 	// a queue to manage requests
-	var requests = require('./requestQueue.js').create(context);
+	var requests = require('./requestQueue.js').create(context, {
+		maxSize: options.batching.maxSize,
+		maxBytes: options.batching.maxBytes,
+		measure: function(req) {
+			return measureJSON(codec ? codec.encode(req) : req);
+		}
+	});
+
+	// a token for the timeout waiting for more requests to batch, if waiting
+	var batchToken;
+
+	// batches on their way, oldest first, each with the send request and the
+	// requests it is sending
+	var inFlight = [];
+
+	// reconnection settings, if reconnection is enabled
+	var reconnect = options.reconnect;
+
+	// whether we're trying to reconnect and how many attempts we've made
+	var reconnecting = false;
+	var reconnectAttempts = 0;
+
+	// whether traffic is suspended until the next reconnection attempt, and
+	// the timeout token for that attempt
+	var suspended = false;
+	var reconnectToken;
 
-	// current pending send request, if any
-	var pendingRequest;
+	// whether the server has forgotten our session, and whether we're busy
+	// restoring durable remote objects in a new one
+	var sessionLost = false;
+	var restoring = false;
+
+	// settings for working offline, if enabled
+	var offline = options.offline;
+
+	// the timeout token for expiring the longest held request, if waiting
+	var expiryToken;
+
+	// the outbox last persisted with the offline storage adapter, as JSON
+	var savedOutbox = JSON.stringify({objects: []});
+
+	// the remote objects of a previous connection whose held invocations
+	// we're replaying, until we've obtained them again, and how the remote
+	// objects the invocations are replayed on were obtained, indexed by
+	// instance ID until the invocations are done
+	var replaying = [];
+	var replayTargets = {};
 
 	// remote object instances indexed by instance ID
 	var instances = {};
 
-	// a poller to long poll for messages from server
-	var poller = require('./poller.js').create(
-		url,
-		context,
-		connectionID,
-		pollTimeout,
-		onPoll,
-		onLoss);
+	// functions passed to remote methods indexed by callback ID
+	var nextCallbackID = 0;
+	var callbacks = {};
+
+	// control objects of the result streams of streaming invocations indexed
+	// by request ID
+	var streams = {};
+
+	// connection related events
+	var events = require('./events.js').create();
+
+	// statistics about our traffic, which our transports contribute to
+	var stats = require('./stats.js').create(function(metric) {
+		events.fire('metric', metric);
+	});
+	options.stats = stats;
+
+	// a log of our traffic, if debugging
+	var debugLog = options.debug ?
+		require('./debugLog.js').create(context, options.debug.size) :
+		undefined;
+
+	// a transport for exchanging requests and messages with the server
+	var transport = createTransport(-1);
 
-	// a trigger for connection related events
-	var trigger = require('trigger-maker').create();
+	// let everyone know if we're no longer authorized
+	if (options.auth) {
+		options.auth.onUnauthorized = function(error) {
+			if (connected) {
+				events.fire('unauthorized', error);
+			}
+		};
+	}
 
 	// grab remoteObject module for creating remote objects
 	var remoteObject = require('./remoteObject.js');
 
+	// and resultStream module for streaming invocations
+	var resultStream = require('./resultStream.js');
+
 	/**
 	 * Creates a remote object from the named factory.
 	 * @param name the name of the server-side factory to use to create the
@@ -74,224 +400,1809 @@ function Connection(url, context, connectionID, pollTimeout) {
 	 * @returns {promise} a promise for the created remote object
 	 */
 	self.create = function(name, spec) {
-		if (!connected) {
-			throw new Error('already disconnected');
-		}
-		return sendRequest({
+		return obtain({
 			action: 'create',
 			name: name,
 			spec: spec
-		}).then(function(result) {
-			return registerRemoteObject(result.instanceID, result.methods);
 		});
 	};
 
 	/**
-	 * Causes this connection to disconnect.
+	 * Attaches to an existing remote object, e.g. a singleton shared by all
+	 * clients, looking it up by name and key. Destroying the remote object
+	 * destroys it for all clients; to merely stop using it, detach it instead.
+	 * @param name the name under which the server offers the instances
+	 * @param [key] the key identifying the instance, if the server offers
+	 * more than one under the name
+	 * @returns {promise} a promise for the remote object
 	 */
-	self.disconnect = function() {
-		if (!connected) {
-			throw new Error('already disconnected');
-		}
-		connected = false;
-		trigger.fire('disconnect');
+	self.get = function(name, key) {
+		return obtain({
+			action: 'get',
+			name: name,
+			key: key
+		});
+	};
 
-		// notify all current instances of their loss
+	/**
+	 * Same as get().
+	 * @param name the name under which the server offers the instances
+	 * @param [key] the key identifying the instance
+	 * @returns {promise} a promise for the remote object
+	 */
+	self.attach = self.get;
+
+	/**
+	 * Adds an interceptor to this connection, injecting behavior around its
+	 * traffic (see the interceptors module).
+	 * @param interceptor an object with any of the 'http', 'request',
+	 * 'batch', 'message' and 'error' hooks
+	 * @returns {Function} a function which removes the interceptor again
+	 */
+	self.use = function(interceptor) {
+		return options.interceptors.add(interceptor);
+	};
+
+	/**
+	 * Gets statistics about this connection.
+	 * @returns {Object} an object with the statistics recorded so far (see
+	 * the stats module's snapshot()) and the current 'state' of the
+	 * connection: whether it is 'connected' and 'reconnecting', the name of
+	 * its 'transport', the number of requests queued to be sent
+	 * ('queueDepth') and waiting on results ('pendingRequests'), the number
+	 * of batches on their way ('batchesInFlight'), the number
+	 * of live remote object 'instances' and the number of their invocations
+	 * waiting on results ('pendingInvocations')
+	 */
+	self.stats = function() {
+		var snapshot = stats.snapshot();
 		var instanceIDs = Object.getOwnPropertyNames(instances);
-		instanceIDs.forEach(function(instanceID) {
-			instances[instanceID].onLoss();
-		});
-		instances = {};
+		snapshot.state = {
+			connected: connected,
+			reconnecting: reconnecting,
+			transport: transport.name,
+			queueDepth: requests.queued().length,
+			pendingRequests: requests.pending(),
+			batchesInFlight: inFlight.length,
+			instances: instanceIDs.length,
+			pendingInvocations: instanceIDs.reduce(function(sum, instanceID) {
+				return sum + instances[instanceID].pendingInvocations();
+			}, 0)
+		};
+		return snapshot;
+	};
+
+	/**
+	 * Gets the debug log of this connection, if it was established with the
+	 * 'debug' option.
+	 * @returns {Array} the logged entries, oldest first, each with the
+	 * 'time' it was recorded, its 'direction' ('out' for requests sent, 'in'
+	 * for messages received, 'event' for connection events), its 'type' and
+	 * its 'data'; or undefined if debugging is off
+	 */
+	self.debugLog = function() {
+		return debugLog ? debugLog.entries() : undefined;
+	};
+
+	/**
+	 * The lifecycle state of this connection: 'connecting' while it
+	 * establishes a new session to replace one the server has forgotten,
+	 * 'open', 'reconnecting' while it waits to try again after losing the
+	 * server, 'closing' while it shuts down gracefully and 'closed'. Each
+	 * change fires a 'statechange' event with the new and the previous state.
+	 */
+	Object.defineProperty(self, 'state', {
+		enumerable: true,
+		get: function() {
+			return state;
+		}
+	});
 
-		// cancel pending request if we have one
-		if (pendingRequest) {
-			pendingRequest.abort();
+	/**
+	 * Causes this connection to disconnect. Calling it again, or once the
+	 * connection has been lost, just gets the same result.
+	 * @param [disconnectOptions] an object with 'graceful' set to true to
+	 * stop accepting new invocations but send whatever is queued and wait
+	 * for outstanding results before disconnecting, and an optional
+	 * 'timeout' in milliseconds after which to stop waiting for them
+	 * @returns {promise} a promise which resolves once the connection is
+	 * closed, to true if the server deleted its session or false if that
+	 * failed (the server will expire the session in time)
+	 */
+	self.disconnect = function(disconnectOptions) {
+		disconnectOptions = disconnectOptions || {};
+		if (!connected) {
+			return closed.promise;
+		}
+		if (!disconnectOptions.graceful) {
+			close(new errors.ConnectionLostError('connection closed'));
+			return closed.promise;
+		}
+		if (closing) {
+			return closing.promise;
+		}
+		var timeout = disconnectOptions.timeout;
+		if (timeout !== undefined &&
+			(typeof timeout !== 'number' || timeout < 0)) {
+			throw new Error('"timeout" not a non-negative number');
 		}
 
-		// and stop our poller
-		poller.stop();
+		closing = context.defer();
+		setState('closing');
+		if (timeout !== undefined) {
+			closingToken = context.setTimeout(function() {
+				closingToken = undefined;
+				close(new errors.ConnectionLostError(
+					'connection closed before results arrived'));
+			}, timeout);
+		}
 
-		// delete connection on server side
-		context.request('DELETE', url + connectionID);
+		// send whatever is waiting to be batched right away
+		sendQueuedRequests();
+		checkClosing();
+		return closing.promise;
 	};
 
 	/**
 	 * Registers a listener for a type of event.
-	 * @param {string} event the event type ('loss' or 'disconnect')
+	 * @param {string} event the event type ('loss', 'disconnect',
+	 * 'reconnecting', 'reconnected', 'statechange', 'unauthorized' or
+	 * 'metric', which is fired with each metric recorded in the connection's
+	 * stats), or '*' to be told of every event with its type followed by its
+	 * arguments
+	 * @param {Function} fn the function to invoke to handle the event
+	 */
+	self.on = events.on;
+
+	/**
+	 * Registers a listener for the next event of a type only.
+	 * @param {string} event the event type, or '*' for any event
 	 * @param {Function} fn the function to invoke to handle the event
 	 */
-	self.on = trigger.on;
+	self.once = events.once;
 
 	/**
 	 * Unregisters one or all listeners for an event.
-	 * @param event the event to unregister for ('loss' or 'disconnect')
+	 * @param event the event to unregister for ('loss', 'disconnect',
+	 * 'reconnecting', 'reconnected', 'statechange', 'unauthorized' or
+	 * 'metric', which is fired with each metric recorded in the connection's
+	 * stats)
 	 * @param [fn] if provided, the listener function to unregister; if not
 	 * provided, all listeners will be unregistered
 	 */
-	self.off = trigger.off;
+	self.off = events.off;
 
 	/**
-	 * Invoked when this connection is lost.
-	 * @param error the error describing the connection loss
+	 * Asks the server for a remote object and registers it.
+	 * @param request the request for the remote object, either creating or
+	 * getting it
+	 * @returns {promise} a promise for the remote object
 	 */
-	function onLoss(error) {
-		trigger.fire('loss', error);
-		self.disconnect();
+	function obtain(request) {
+		if (!connected) {
+			throw new errors.ConnectionLostError('already disconnected');
+		}
+		if (closing) {
+			throw new errors.ConnectionLostError('connection closing');
+		}
+
+		// remember how to ask again, should we need to
+		var recipe;
+		if (options.durable || (offline && offline.storage)) {
+			recipe = util.copy(request);
+		}
+
+		return sendRequest(request).then(function(result) {
+			if (result.instanceID === undefined ||
+				!Array.isArray(result.methods)) {
+				throw new errors.ProtocolError(
+					'invalid response; expected instance ID and methods');
+			}
+			return registerRemoteObject(
+				result.instanceID,
+				result.methods,
+				recipe,
+				result.properties);
+		});
 	}
 
 	/**
-	 * Destroys a remote object instance on the server.
-	 * @param instanceID the ID of the instance to destroy
+	 * Creates a transport for this connection.
+	 * @param latestID the ID of the latest message already received
+	 * @returns {*} a new active transport
 	 */
-	function destroy(instanceID) {
-		sendRequest({
-			action: 'destroy',
-			instanceID: instanceID
-		});
+	function createTransport(latestID) {
+		return TRANSPORTS[options.transport].create(
+			url,
+			context,
+			connectionID,
+			options,
+			onPoll,
+			onLoss,
+			onAlive,
+			latestID);
 	}
 
 	/**
-	 * Queues a request to be sent to the server and sends immediately if
-	 * possible.
-	 * @param req the request to queue and send
-	 * @returns {promise} a promise for the result of the request
+	 * Closes this connection, releasing all of its remote objects.
+	 * @param error the error describing why the connection closed, used to
+	 * reject any outstanding invocations
 	 */
-	function sendRequest(req) {
-		var deferredResult = requests.add(req);
-		sendQueuedRequests();
-		return deferredResult;
+	function close(error) {
+		if (!connected) {
+			return;
+		}
+		connected = false;
+		reconnecting = false;
+		closed = context.defer();
+		events.fire('disconnect');
+		setState('closed');
+
+		// stop waiting to shut down gracefully
+		if (closingToken !== undefined) {
+			context.clearTimeout(closingToken);
+			closingToken = undefined;
+		}
+		if (closingCheckToken !== undefined) {
+			context.clearTimeout(closingCheckToken);
+			closingCheckToken = undefined;
+		}
+
+		// cancel any scheduled reconnection attempt
+		if (reconnectToken !== undefined) {
+			context.clearTimeout(reconnectToken);
+			reconnectToken = undefined;
+		}
+
+		// held requests are rejected below, so none will expire
+		cancelExpiry();
+
+		// and stop waiting for more requests to batch
+		if (batchToken !== undefined) {
+			context.clearTimeout(batchToken);
+			batchToken = undefined;
+		}
+
+		// notify all current instances of their loss
+		var instanceIDs = Object.getOwnPropertyNames(instances);
+		instanceIDs.forEach(function(instanceID) {
+			instances[instanceID].onLoss(error);
+		});
+		instances = {};
+
+		// and reject whatever requests are still waiting on results
+		requests.rejectAll(error);
+		failStreams(function() {
+			return true;
+		}, error);
+
+		// cancel pending send requests
+		inFlight.splice(0).forEach(function(sending) {
+			sending.request.abort();
+		});
+
+		// and stop our transport
+		transport.stop();
+
+		// delete connection on server side
+		closed.resolve(context.request('DELETE', url + connectionID).then(
+			function() {
+				return true;
+			},
+			function() {
+				return false;
+			}));
+		if (closing) {
+			closing.resolve(closed.promise);
+		}
 	}
 
 	/**
-	 * Sends queued requests, if any and if not already sending.
+	 * Closes this connection once it's shutting down gracefully and there's
+	 * nothing left to send or wait for. Checks after a timeout, so results
+	 * just received make their way to whoever is waiting for them first.
 	 */
-	function sendQueuedRequests() {
-		if (!pendingRequest) {
-			// we can send now
-			var requestsToSend = requests.drain();
-			if (requestsToSend.length > 0) {
-				// and we have stuff to send
-				pendingRequest = context.request(
-					'POST',
-					url + connectionID,
-					requestsToSend);
-
-				// handle request result
-				pendingRequest.then(function() {
-					pendingRequest = undefined;
-					sendQueuedRequests();
-				}, function(error) {
-					pendingRequest = undefined;
-					onLoss(error);
+	function checkClosing() {
+		if (!closing || !connected || closingCheckToken !== undefined) {
+			return;
+		}
+		closingCheckToken = context.setTimeout(function() {
+			closingCheckToken = undefined;
+			var instanceIDs = Object.getOwnPropertyNames(instances);
+			var waiting = requests.queued().length || inFlight.length ||
+				requests.pending() ||
+				Object.getOwnPropertyNames(streams).length ||
+				instanceIDs.some(function(instanceID) {
+					return instances[instanceID].pendingInvocations() > 0;
 				});
+			if (!waiting) {
+				close(new errors.ConnectionLostError('connection closed'));
 			}
-		}
+		}, 0);
 	}
 
 	/**
-	 * Handles the receipt of polled messages.
-	 * @param messages received messages
+	 * Changes the lifecycle state of this connection, letting everyone know.
+	 * Once closing, the only way on is to closed.
+	 * @param newState the new state
 	 */
-	function onPoll(messages) {
-		messages.forEach(function(message) {
-			if (message.requestID !== undefined) {
-				// a response to a request
-				requests.handleResult(message);
-			} else if (message.event !== undefined) {
-				// an event fired from a remote object
-				var instance = instances[message.instanceID];
-				if (instance) {
-					// prepare args to pass to fire function
-					var fireArgs = message.args || [];
-					fireArgs.unshift(message.event);
-					instance.fire.apply(global, fireArgs);
-				}
-			}
-		});
+	function setState(newState) {
+		var previous = state;
+		if (newState === previous || previous === 'closed' ||
+			(previous === 'closing' && newState !== 'closed')) {
+			return;
+		}
+		state = newState;
+		debug('event', 'statechange', {state: state});
+		events.fire('statechange', state, previous);
 	}
 
 	/**
-	 * Registers a newly created remote object with this connection.
-	 * @param instanceID the ID of the remote object instance
-	 * @param methods the list of methods for the remote object
-	 * @returns {RemoteObject} a new remote object instance
+	 * Invoked when this connection is lost.
+	 * @param error the error describing the connection loss
 	 */
-	function registerRemoteObject(instanceID, methods) {
-		if (instances[instanceID]) {
-			throw 'assigned instance ID already in use: ' + instanceID;
+	function onLoss(error) {
+		if (!connected || suspended) {
+			// we've already dealt with it
+			return;
 		}
 
-		// track whether this remote object has been destroyed
-		var destroyed = false;
+		if (!(error instanceof errors.ConnectionLostError)) {
+			error = new errors.ConnectionLostError(
+				'connection lost: ' + describeError(error),
+				error);
+		}
+		options.interceptors.error(error);
+		debug('event', 'loss', {message: error.message});
 
-		// track deferred results of invocations indexed by a unique ID
-		var nextResultID = 0;
-		var deferredResults = {};
+		// if the server has forgotten us there's no resuming our session
+		if (isSessionGone(error)) {
+			sessionLost = true;
+		}
 
-		// need an invoke function that the remote object instance can use to
-		// invoke its methods
-		function invoke(method, args) {
-			if (destroyed) {
-				throw new Error('remote object already destroyed');
-			}
+		if (!reconnect || reconnectAttempts >= reconnect.retries ||
+			(sessionLost && !options.durable) || restoring || closing) {
+			// we can't or won't try again (and we don't try to recover
+			// from failing to restore durable remote objects, nor a
+			// connection we're shutting down)
+			events.fire('loss', error);
+			close(error);
+			return;
+		}
 
-			// create an ID and a deferred result for this invocation
-			var resultID = nextResultID++;
-			var deferredResult = context.defer();
-			deferredResults[resultID] = deferredResult;
+		// stop all traffic until we try again, holding what was being sent
+		suspend();
+		saveOutbox();
+		expireOutbox();
 
-			sendRequest({
-				action: 'invoke',
-				instanceID: instanceID,
-				method: method,
-				args: args
-			}).then(function(result) {
-				if (!destroyed) {
-					delete deferredResults[resultID];
-					deferredResult.resolve(result.result);
-				}
-			}, function(error) {
-				if (!destroyed) {
-					delete deferredResults[resultID];
-					deferredResult.reject(error);
-				}
-			});
+		// figure out how long to wait before the next attempt
+		var delay = Math.min(
+			reconnect.delay * Math.pow(reconnect.factor, reconnectAttempts),
+			reconnect.maxDelay);
+		reconnectAttempts++;
+		reconnecting = true;
+		setState('reconnecting');
 
-			return deferredResult.promise;
-		}
+		stats.reconnecting(reconnectAttempts, delay);
+		debug('event', 'reconnecting', {attempt: reconnectAttempts});
+		events.fire('reconnecting', reconnectAttempts, delay, error);
 
-		// need a function that can be invoked when the object is destroyed
-		function onDestroy() {
-			// remember, remember that we were dismembered
-			destroyed = true;
+		// the listener may have disconnected us
+		if (connected) {
+			reconnectToken = context.setTimeout(
+				sessionLost ? attemptNewSession : attemptReconnect,
+				delay);
+		}
+	}
 
-			// reject all pending invocation results
-			var resultIDs = Object.getOwnPropertyNames(deferredResults);
-			resultIDs.forEach(function(resultID) {
-				deferredResults[resultID].reject('remote object destroyed');
-			});
-			deferredResults = {};
+	/**
+	 * Stops polling and sending while waiting to reconnect. Requests that were
+	 * being sent, and those the transport can't vouch for having delivered,
+	 * are put back in the queue to be sent again.
+	 */
+	function suspend() {
+		suspended = true;
+		transport.stop();
+		var sent = inFlight.splice(0);
+		requests.requeue(sent.reduce(function(batches, sending) {
+			return batches.concat(sending.batch);
+		}, []));
+		sent.forEach(function(sending) {
+			sending.request.abort();
+		});
 
-			// let server side know we're done with it
-			destroy(instanceID);
+		if (transport.unanswered) {
+			requests.resend(transport.unanswered());
 		}
+	}
 
-		// need a control object that will allow us to control the remote
-		// object instance
-		var control = {};
-
-		// create the remote object
-		var ro = remoteObject.create(methods, invoke, onDestroy, control);
+	/**
+	 * Attempts to resume this connection where it left off.
+	 */
+	function attemptReconnect() {
+		reconnectToken = undefined;
+		suspended = false;
 
-		// index it and its control functions
-		instances[instanceID] = {
-			instance: ro,
-			fire: control.fire,
-			onLoss: control.onLoss
-		};
+		// resume from the last message we received
+		transport = createTransport(transport.getLatestID());
 
-		return ro;
+		// and resend whatever has been queued up in the meantime
+		sendQueuedRequests();
 	}
 
-	return this;
+	/**
+	 * Attempts to establish a new session with the server, in which our
+	 * durable remote objects will be re-created.
+	 */
+	function attemptNewSession() {
+		reconnectToken = undefined;
+		setState('connecting');
+
+		// traffic stays suspended until we have a session to send it to
+		context.request('GET', establishUrl(url, options)).then(function(data) {
+			if (!connected) {
+				// this attempt is no longer relevant
+				return;
+			}
+			suspended = false;
+			if (!data || data.connectionID === undefined) {
+				onLoss(new errors.ProtocolError(
+					'invalid response; expected connection ID'));
+				return;
+			}
+			codec = negotiateCodec(options, data);
+			filtering = !!data.subscriptions;
+			restore(data.connectionID);
+		}, function(error) {
+			if (connected) {
+				suspended = false;
+				onLoss(error);
+			}
+		});
+	}
+
+	/**
+	 * Switches to a new server session and re-creates our durable remote
+	 * objects in it. Requests queued in the meantime are held back until the
+	 * remote objects have been re-created, then sent on to their new
+	 * instances.
+	 * @param newConnectionID the ID of the new session
+	 */
+	function restore(newConnectionID) {
+		connectionID = newConnectionID;
+		sessionLost = false;
+		restoring = true;
+
+		// requests the old session never answered never will be
+		requests.rejectDrained(
+			new errors.ConnectionLostError('server session lost'));
+
+		// hold back whatever's queued and start listening to the new session
+		var held = requests.drain();
+		transport = createTransport(-1);
+
+		// the same goes for streams that had already started
+		var heldIDs = held.map(function(request) {
+			return request.requestID;
+		});
+		failStreams(function(requestID) {
+			return heldIDs.indexOf(requestID) < 0;
+		}, new errors.ConnectionLostError('server session lost'));
+
+		// re-create our remote objects, indexing them by their new IDs
+		var records = instances;
+		var instanceIDs = Object.getOwnPropertyNames(records);
+		var newInstanceIDs = {};
+		var remaining = instanceIDs.length;
+		instances = {};
+		instanceIDs.forEach(function(instanceID) {
+			var record = records[instanceID];
+			if (!record.recipe) {
+				// we don't know how it was created, e.g. it was returned
+				// from a method, so there's no getting it back
+				record.onLoss(
+					new errors.ConnectionLostError('server session lost'));
+				remaining--;
+				return;
+			}
+			requests.add(util.copy(record.recipe)).then(function(result) {
+				if (result.instanceID === undefined ||
+					instances[result.instanceID]) {
+					throw new errors.ProtocolError(
+						'invalid response; expected unused instance ID');
+				}
+				newInstanceIDs[instanceID] = result.instanceID;
+				instances[result.instanceID] = record;
+
+				// the new instance's properties may have moved on
+				Object.keys(result.properties || {}).forEach(function(name) {
+					record.onPropertyChange(
+						name,
+						unmarshal(result.properties[name].value));
+				});
+			}).then(undefined, function(error) {
+				record.onLoss(error);
+			}).then(function() {
+				if (--remaining === 0) {
+					finish();
+				}
+			});
+		});
+		sendBatch(requests.drain());
+		if (remaining === 0) {
+			finish();
+		}
+
+		// once everything's been re-created, send on what we held back
+		function finish() {
+			if (!connected) {
+				return;
+			}
+			restoring = false;
+
+			// point the remote objects at their new instances
+			instanceIDs.forEach(function(instanceID) {
+				if (newInstanceIDs[instanceID] !== undefined) {
+					records[instanceID].setInstanceID(
+						newInstanceIDs[instanceID]);
+				}
+			});
+
+			// and the requests as well, dropping those that can't be sent on
+			requests.requeue(held);
+			requests.filter(function(request) {
+				if (request.action === 'cancel') {
+					// the request to cancel went with the old session
+					return false;
+				}
+				if (request.instanceID === undefined) {
+					return true;
+				}
+				if (newInstanceIDs[request.instanceID] === undefined) {
+					return false;
+				}
+				request.instanceID = newInstanceIDs[request.instanceID];
+
+				// remote objects passed as arguments must have made it too
+				var referencesLost = false;
+				mapReferences(request.args, function(reference) {
+					var newInstanceID = newInstanceIDs[reference.$instance];
+					if (newInstanceID === undefined) {
+						referencesLost = true;
+						return reference;
+					}
+					return {$instance: newInstanceID};
+				});
+				return !referencesLost;
+			}, new errors.ConnectionLostError('server session lost'));
+
+			// the new session knows nothing of the events we listen to
+			instanceIDs.forEach(function(instanceID) {
+				if (newInstanceIDs[instanceID] !== undefined) {
+					records[instanceID].resubscribe();
+				}
+			});
+
+			// let everyone know their remote objects are back
+			instanceIDs.forEach(function(instanceID) {
+				if (newInstanceIDs[instanceID] !== undefined) {
+					records[instanceID].fire('restored');
+				}
+			});
+
+			// only now is the connection back, ready for what comes next
+			onAlive();
+			sendQueuedRequests();
+		}
+	}
+
+	/**
+	 * Invoked when a round trip with the server succeeds. While durable remote
+	 * objects are being restored, the connection isn't back until they are.
+	 */
+	function onAlive() {
+		if (reconnecting && !suspended && !restoring) {
+			reconnecting = false;
+			reconnectAttempts = 0;
+			cancelExpiry();
+			stats.reconnected();
+			debug('event', 'reconnected');
+			events.fire('reconnected');
+			setState('open');
+		}
+	}
+
+	/**
+	 * Lets the server know we're done with a remote object instance.
+	 * @param instanceID the ID of the instance
+	 * @param action 'destroy' to destroy the instance or 'detach' to merely
+	 * stop receiving its events
+	 */
+	function release(instanceID, action) {
+		if (!connected) {
+			// the server side is already gone
+			return;
+		}
+		sendRequest({
+			action: action,
+			instanceID: instanceID
+		}).then(undefined, ignore);
+	}
+
+	/**
+	 * Cancels a request. If the request has already been sent, the server is
+	 * asked to cancel it as well.
+	 * @param requestID the ID of the request to cancel
+	 * @param error the error to reject the request's result with
+	 */
+	function cancelRequest(requestID, error) {
+		if (requests.cancel(requestID, error)) {
+			saveOutbox();
+		} else if (connected) {
+			sendRequest({
+				action: 'cancel',
+				target: requestID
+			}, {priority: 'high'}).then(undefined, ignore);
+		}
+		checkClosing();
+	}
+
+	/**
+	 * Queues a request to be sent to the server and sends immediately if
+	 * possible, or once the batching delay has passed.
+	 * @param req the request to queue and send
+	 * @param [sendOptions] how to send the request: its 'priority' and
+	 * whether it is 'ordered' with other requests to the same remote object
+	 * (see RequestQueue.add())
+	 * @returns {promise} a promise for the result of the request, or
+	 * undefined for a one-way request that was queued
+	 */
+	function sendRequest(req, sendOptions) {
+		if (reconnecting && offline && !mayBuffer(req)) {
+			// it'll have to wait until we're back
+			var deferred = context.defer();
+			deferred.reject(new errors.ConnectionLostError(
+				'connection is down and request cannot be held: ' +
+				(req.method || req.action)));
+			return deferred.promise;
+		}
+
+		var deferredResult = requests.add(req, sendOptions);
+		if (reconnecting) {
+			saveOutbox();
+			if (expiryToken === undefined) {
+				scheduleExpiry();
+			}
+		}
+		if (options.batching.delay && !requests.urgent()) {
+			// give other requests a chance to join the batch
+			if (batchToken === undefined) {
+				batchToken = context.setTimeout(function() {
+					batchToken = undefined;
+					sendQueuedRequests();
+				}, options.batching.delay);
+			}
+		} else {
+			sendQueuedRequests();
+		}
+		return deferredResult;
+	}
+
+	/**
+	 * Determines whether a request may be held while the connection is down.
+	 * @param req the request
+	 * @returns {boolean} true if the request may be held
+	 */
+	function mayBuffer(req) {
+		if (req.action !== 'create' && req.action !== 'invoke') {
+			// our own housekeeping always waits
+			return true;
+		}
+		return !!offline.buffer(req);
+	}
+
+	/**
+	 * Rejects held requests that have waited too long for the connection to
+	 * come back, and waits for the next one to.
+	 */
+	function expireOutbox() {
+		if (offline && offline.maxAge) {
+			requests.expire(offline.maxAge, new errors.TimeoutError(
+				'request expired while connection was down',
+				offline.maxAge));
+			saveOutbox();
+			scheduleExpiry();
+		}
+	}
+
+	/**
+	 * Sets a timeout for expiring the longest held request, if any, once it
+	 * has waited as long as it may.
+	 */
+	function scheduleExpiry() {
+		cancelExpiry();
+		var oldest = offline && offline.maxAge ? requests.oldest() : undefined;
+		if (oldest === undefined) {
+			return;
+		}
+		expiryToken = context.setTimeout(function() {
+			expiryToken = undefined;
+			expireOutbox();
+		}, Math.max(0, oldest + offline.maxAge - util.now(context)));
+	}
+
+	/**
+	 * Stops waiting to expire held requests, e.g. because the connection is
+	 * back and they will be sent.
+	 */
+	function cancelExpiry() {
+		if (expiryToken !== undefined) {
+			context.clearTimeout(expiryToken);
+			expiryToken = undefined;
+		}
+	}
+
+	/**
+	 * Persists held requests with the offline storage adapter, if any, unless
+	 * they haven't changed since they were last persisted. Only invocations
+	 * are worth sending later, and only if they refer to nothing but the
+	 * remote object invoked, which must be one we know how to obtain again;
+	 * other requests refer to requests, streams, callbacks or results which
+	 * only this connection knows about.
+	 */
+	function saveOutbox() {
+		if (!offline || !offline.storage) {
+			return;
+		}
+
+		// group the invocations by remote object
+		var objects = [];
+		var indexes = {};
+		requests.queued().forEach(function(request) {
+			var recipe = instances[request.instanceID] ?
+				instances[request.instanceID].recipe :
+				replayTargets[request.instanceID];
+			if (!isReplayable(request) || !recipe ||
+				refersToConnection(request.args)) {
+				return;
+			}
+			if (indexes[request.instanceID] === undefined) {
+				indexes[request.instanceID] = objects.length;
+				objects.push({obtain: recipe, invocations: []});
+			}
+			objects[indexes[request.instanceID]].invocations.push(request);
+		});
+
+		var outbox = {
+			objects: objects.map(function(object) {
+				return {
+					obtain: options.codec ?
+						options.codec.encode(object.obtain) :
+						object.obtain,
+					invocations: options.codec ?
+						object.invocations.map(options.codec.encode) :
+						object.invocations
+				};
+			}).concat(replaying)
+		};
+		var json = JSON.stringify(outbox);
+		if (json !== savedOutbox) {
+			savedOutbox = json;
+			offline.storage.save(outbox);
+		}
+	}
+
+	/**
+	 * Loads invocations persisted with the offline storage adapter by a
+	 * previous connection, if any, and replays them. Nobody is waiting on
+	 * their results any more.
+	 */
+	function loadOutbox() {
+		if (!offline || !offline.storage) {
+			return;
+		}
+		var deferredSaved = context.defer();
+		deferredSaved.resolve(offline.storage.load());
+		deferredSaved.promise.then(function(saved) {
+			if (!connected || !saved || !Array.isArray(saved.objects)) {
+				return;
+			}
+			savedOutbox = JSON.stringify(saved);
+			saved.objects.forEach(replay);
+			saveOutbox();
+			sendQueuedRequests();
+		});
+	}
+
+	/**
+	 * Replays the invocations a previous connection held for a remote object.
+	 * The previous connection's session is gone, so the remote object is
+	 * obtained again the way it was then, i.e. created anew or got by name,
+	 * and released once the invocations are done. Until the remote object is
+	 * obtained, the invocations remain persisted as they were.
+	 * @param object the persisted remote object: how to 'obtain' it and the
+	 * 'invocations' to replay
+	 */
+	function replay(object) {
+		replaying.push(object);
+		var decode = function(value) {
+			return util.copy(options.codec ?
+				options.codec.decode(value) :
+				value);
+		};
+		requests.add(decode(object.obtain)).then(function(result) {
+			if (result.instanceID === undefined ||
+				instances[result.instanceID] ||
+				replayTargets[result.instanceID]) {
+				throw new errors.ProtocolError(
+					'invalid response; expected unused instance ID');
+			}
+			var instanceID = result.instanceID;
+			var recipe = decode(object.obtain);
+			replayTargets[instanceID] = recipe;
+			forget();
+
+			// once the invocations are done, so is the remote object
+			var remaining = object.invocations.length;
+			var done = function() {
+				if (--remaining === 0) {
+					delete replayTargets[instanceID];
+					release(
+						instanceID,
+						recipe.action === 'get' ? 'detach' : 'destroy');
+				}
+			};
+			object.invocations.map(decode).forEach(function(req) {
+				delete req.requestID;
+				req.instanceID = instanceID;
+				var pending = requests.add(req);
+				if (pending) {
+					pending.then(done, done);
+				} else {
+					done();
+				}
+			});
+			saveOutbox();
+			sendQueuedRequests();
+		}).then(undefined, function() {
+			// there's no getting it back, nor sending its invocations
+			forget();
+			saveOutbox();
+		});
+
+		// it's no longer the previous connection's to persist
+		function forget() {
+			var index = replaying.indexOf(object);
+			if (index >= 0) {
+				replaying.splice(index, 1);
+			}
+		}
+	}
+
+	/**
+	 * Sends batches of queued requests, if any, as many as the concurrency
+	 * allows. Whatever doesn't fit is sent once a batch is done.
+	 */
+	function sendQueuedRequests() {
+		if (!connected || suspended || restoring) {
+			return;
+		}
+		while (inFlight.length < options.batching.concurrency) {
+			// we can send now, so there's no more waiting for requests
+			if (batchToken !== undefined) {
+				context.clearTimeout(batchToken);
+				batchToken = undefined;
+			}
+			var batch = requests.next(inFlight.reduce(function(sent, sending) {
+				return sent.concat(sending.batch);
+			}, []));
+			if (!batch.length) {
+				return;
+			}
+			sendBatch(batch);
+		}
+	}
+
+	/**
+	 * Sends a batch of requests drained from the queue, if there are any.
+	 * @param requestsToSend the requests to send
+	 */
+	function sendBatch(requestsToSend) {
+		if (requestsToSend.length > 0) {
+			// we have stuff to send
+			var batch = options.interceptors.batch(
+				requestsToSend.map(options.interceptors.request));
+			stats.batch(batch.length);
+			batch.forEach(function(req) {
+				debug('out', 'request', req);
+			});
+			var sending = {
+				request: transport.send(codec ?
+					batch.map(codec.encode) :
+					batch),
+				batch: requestsToSend
+			};
+			inFlight.push(sending);
+
+			// handle request result
+			sending.request.then(function() {
+				if (!done()) {
+					// this request is no longer relevant
+					return;
+				}
+				onAlive();
+				saveOutbox();
+				sendQueuedRequests();
+				checkClosing();
+			}, function(error) {
+				if (!done()) {
+					// this request is no longer relevant
+					return;
+				}
+
+				if (options.batching.concurrency > 1 &&
+					!isSessionGone(error)) {
+					// the other batches may yet get through, so only this
+					// one's requests fail
+					var failed = new errors.RequestFailedError(
+						'request batch failed: ' + describeError(error),
+						error);
+					options.interceptors.error(failed);
+					requestsToSend.forEach(function(req) {
+						requests.cancel(req.requestID, failed);
+					});
+					sendQueuedRequests();
+					checkClosing();
+					return;
+				}
+
+				// put the requests back so they can be resent if we
+				// manage to reconnect
+				requests.requeue(requestsToSend);
+				onLoss(error);
+			});
+		}
+
+		// stops tracking the send request, if it's still relevant
+		function done() {
+			var index = inFlight.indexOf(sending);
+			if (index < 0) {
+				return false;
+			}
+			inFlight.splice(index, 1);
+			return true;
+		}
+	}
+
+	/**
+	 * Handles the receipt of polled messages.
+	 * @param messages received messages
+	 */
+	function onPoll(messages) {
+		if (codec) {
+			try {
+				messages = messages.map(codec.decode);
+			} catch (e) {
+				onLoss(new errors.ProtocolError(
+					'could not decode messages: ' + e.message));
+				return;
+			}
+		}
+
+		messages.forEach(function(message) {
+			if (!connected || suspended) {
+				// an earlier message has cost us the connection
+				return;
+			}
+			message = options.interceptors.message(message);
+			if (message === null) {
+				// an interceptor dropped it
+				return;
+			}
+			debug('in', 'message', message);
+			if (message.requestID !== undefined) {
+				// a response to a request
+				requests.handleResult(message);
+			} else if (message.property !== undefined) {
+				// a remote object's property has changed
+				var owner = instances[message.instanceID];
+				if (owner) {
+					try {
+						owner.onPropertyChange(
+							message.property,
+							unmarshal(message.value));
+					} catch (e) {
+						onLoss(new errors.ProtocolError(
+							'could not change property: ' + e.message));
+					}
+				}
+			} else if (message.event !== undefined) {
+				// an event fired from a remote object
+				var instance = instances[message.instanceID];
+				if (instance) {
+					try {
+						// prepare args to pass to fire function
+						var fireArgs = unmarshal(message.args || []);
+						fireArgs.unshift(message.event);
+						instance.fire.apply(global, fireArgs);
+					} catch (e) {
+						onLoss(new errors.ProtocolError(
+							'could not fire event: ' + e.message));
+					}
+				}
+			} else if (message.callback !== undefined) {
+				// the server calling a function passed to a remote method
+				invokeCallback(message);
+			} else if (message.stream !== undefined) {
+				// a chunk of a streaming invocation's results
+				onStreamMessage(message);
+			}
+		});
+		checkClosing();
+	}
+
+	/**
+	 * Feeds a message about a streaming invocation to its result stream.
+	 * @param message a message with the request ID of the invocation as its
+	 * 'stream' and either a 'chunk' of the results, 'end' set to true once
+	 * the results are complete, or an 'error' if they can't be completed
+	 */
+	function onStreamMessage(message) {
+		var stream = streams[message.stream];
+		if (!stream) {
+			// the consumer has lost interest
+			return;
+		}
+		if (message.error !== undefined) {
+			delete streams[message.stream];
+			stream.fail(new errors.RemoteInvocationError(message.error));
+		} else if (message.end) {
+			delete streams[message.stream];
+			stream.end();
+		} else {
+			try {
+				stream.push(unmarshal(message.chunk));
+			} catch (e) {
+				delete streams[message.stream];
+				stream.fail(e);
+			}
+		}
+	}
+
+	/**
+	 * Fails result streams that haven't ended yet.
+	 * @param fn a function which is passed the request ID of each stream and
+	 * returns whether to fail it
+	 * @param error the error to fail the streams with
+	 */
+	function failStreams(fn, error) {
+		Object.getOwnPropertyNames(streams).forEach(function(requestID) {
+			if (fn(Number(requestID))) {
+				var stream = streams[requestID];
+				delete streams[requestID];
+				stream.fail(error);
+			}
+		});
+	}
+
+	/**
+	 * Invokes a function passed to a remote method on behalf of the server
+	 * and sends its result, once settled if it's a promise, back.
+	 * @param message the message asking for the function to be invoked
+	 */
+	function invokeCallback(message) {
+		var deferredResult = context.defer();
+		var callback = callbacks[message.callback];
+		if (callback) {
+			try {
+				deferredResult.resolve(
+					callback.apply(undefined, unmarshal(message.args || [])));
+			} catch (e) {
+				deferredResult.reject(e);
+			}
+		} else {
+			deferredResult.reject(
+				new Error('callback already released: ' + message.callback));
+		}
+
+		deferredResult.promise.then(function(result) {
+			return {result: marshal(result)};
+		}).then(undefined, function(error) {
+			return {error: serializeError(error)};
+		}).then(function(response) {
+			if (!connected) {
+				return;
+			}
+			response.action = 'callback';
+			response.callID = message.callID;
+			sendRequest(response, {priority: 'high'}).then(undefined, ignore);
+		});
+	}
+
+	/**
+	 * Records an entry in the debug log, if debugging.
+	 * @param direction 'out', 'in' or 'event'
+	 * @param type the kind of entry
+	 * @param [data] the data of the entry
+	 */
+	function debug(direction, type, data) {
+		if (debugLog) {
+			debugLog.record(direction, type, data);
+		}
+	}
+
+	/**
+	 * Forgets functions passed to remote methods, so the server can no longer
+	 * invoke them.
+	 * @param callbackIDs the IDs of the functions to forget
+	 */
+	function releaseCallbacks(callbackIDs) {
+		callbackIDs.forEach(function(callbackID) {
+			delete callbacks[callbackID];
+		});
+	}
+
+	/**
+	 * Prepares a value to be sent to the server, replacing the remote objects
+	 * it contains (in arrays and plain objects) with references to their
+	 * instances and, if allowed, the functions it contains with references to
+	 * callbacks the server may invoke. The value is not modified.
+	 * @param value the value to prepare
+	 * @param [callbackIDs] an array to add the IDs of registered callbacks
+	 * to; if not provided, functions may not be sent
+	 * @returns {*} the value to send
+	 */
+	function marshal(value, callbackIDs) {
+		if (remoteObject.isRemoteObject(value)) {
+			return {$instance: instanceIDOf(value)};
+		}
+		if (typeof value === 'function') {
+			if (!callbackIDs) {
+				throw new Error('functions may only be passed as arguments');
+			}
+			var callbackID = nextCallbackID++;
+			callbacks[callbackID] = value;
+			callbackIDs.push(callbackID);
+			return {$callback: callbackID};
+		}
+		if (Array.isArray(value)) {
+			return value.map(function(element) {
+				return marshal(element, callbackIDs);
+			});
+		}
+		if (util.isPlainObject(value)) {
+			var marshalled = {};
+			Object.keys(value).forEach(function(key) {
+				marshalled[key] = marshal(value[key], callbackIDs);
+			});
+			return marshalled;
+		}
+		return value;
+	}
+
+	/**
+	 * Replaces the references to remote object instances contained in a value
+	 * received from the server with remote objects, registering those this
+	 * connection doesn't know yet. The value is modified in place.
+	 * @param value the received value
+	 * @returns {*} the value with remote objects in place of references
+	 */
+	function unmarshal(value) {
+		return mapReferences(value, function(reference) {
+			var record = instances[reference.$instance];
+			if (record) {
+				return record.instance;
+			}
+			if (!Array.isArray(reference.methods)) {
+				throw new errors.ProtocolError(
+					'invalid instance reference; expected methods');
+			}
+			return registerRemoteObject(
+				reference.$instance,
+				reference.methods,
+				undefined,
+				reference.properties);
+		});
+	}
+
+	/**
+	 * Gets the ID of the instance of a remote object, so it can be passed to
+	 * the server.
+	 * @param ro the remote object
+	 * @returns {*} the ID of its instance
+	 */
+	function instanceIDOf(ro) {
+		var instanceIDs = Object.getOwnPropertyNames(instances);
+		for (var i = 0; i < instanceIDs.length; i++) {
+			var record = instances[instanceIDs[i]];
+			if (record.instance === ro) {
+				return record.getInstanceID();
+			}
+		}
+		throw new errors.RemoteObjectDestroyedError(
+			'remote object passed as argument is destroyed or belongs to ' +
+			'another connection');
+	}
+
+	/**
+	 * Registers a newly created remote object with this connection.
+	 * @param instanceID the ID of the remote object instance
+	 * @param methods the list of methods for the remote object, either names
+	 * or descriptors (see describeMethod())
+	 * @param [recipe] if the remote object may have to be obtained again,
+	 * the request with which it was created or got
+	 * @param [properties] the properties of the remote object indexed by
+	 * name, each an object with the current 'value' and whether it is
+	 * 'writable'
+	 * @returns {RemoteObject} a new remote object instance
+	 */
+	function registerRemoteObject(instanceID, methods, recipe, properties) {
+		if (instances[instanceID]) {
+			throw new errors.ProtocolError(
+				'assigned instance ID already in use: ' + instanceID);
+		}
+		if (properties !== undefined && !util.isPlainObject(properties)) {
+			throw new errors.ProtocolError(
+				'invalid properties; expected an object');
+		}
+		Object.keys(properties || {}).forEach(function(name) {
+			properties[name].value = unmarshal(properties[name].value);
+		});
+
+		// index the descriptors of the methods by name
+		methods = methods.map(describeMethod);
+		var descriptors = {};
+		methods.forEach(function(descriptor) {
+			descriptors[descriptor.name] = descriptor;
+		});
+
+		// track whether this remote object has been destroyed
+		var destroyed = false;
+
+		// track deferred results of invocations indexed by a unique ID
+		var nextResultID = 0;
+		var deferredResults = {};
+
+		// track the IDs of functions passed to this remote object's methods
+		var callbackIDs = [];
+
+		// track the request IDs of streaming invocations
+		var streamIDs = [];
+
+		// need an invoke function that the remote object instance can use to
+		// invoke its methods
+		function invoke(method, args, callOptions) {
+			if (destroyed) {
+				throw new errors.RemoteObjectDestroyedError(
+					'remote object already destroyed');
+			}
+			if (closing) {
+				throw new errors.ConnectionLostError('connection closing');
+			}
+			var descriptor = descriptors[method];
+			if (options.validate) {
+				validateArgs(descriptor, args);
+			}
+			if (callOptions.priority !== undefined &&
+				PRIORITIES.indexOf(callOptions.priority) < 0) {
+				throw new Error('unknown priority: ' + callOptions.priority);
+			}
+
+			// refer to remote objects and functions passed as arguments by
+			// their instances and callback IDs
+			var newCallbackIDs = [];
+			try {
+				args = marshal(args, newCallbackIDs);
+			} catch (e) {
+				releaseCallbacks(newCallbackIDs);
+				throw e;
+			}
+			callbackIDs = callbackIDs.concat(newCallbackIDs);
+
+			if (callOptions.stream) {
+				return invokeStream(method, args, callOptions);
+			}
+			if (descriptor.oneWay) {
+				invokeOneWay(method, args, callOptions);
+				return undefined;
+			}
+
+			// create an ID and a deferred result for this invocation
+			var resultID = nextResultID++;
+			var deferredResult = context.defer();
+			deferredResults[resultID] = deferredResult;
+			var started = util.now(context);
+
+			// keep track of when the invocation is over one way or another
+			var settled = false;
+			var timeoutToken;
+			function settle() {
+				settled = true;
+				if (timeoutToken !== undefined) {
+					context.clearTimeout(timeoutToken);
+					timeoutToken = undefined;
+				}
+			}
+
+			// cancels the invocation if it isn't over yet
+			function cancel(error) {
+				if (!settled && !destroyed) {
+					settle();
+					cancelRequest(request.requestID, error);
+				}
+			}
+
+			// send off the invocation
+			var request = {
+				action: 'invoke',
+				instanceID: instanceID,
+				method: method,
+				args: args
+			};
+			sendRequest(request, callOptions).then(function(result) {
+				settle();
+				if (!destroyed) {
+					delete deferredResults[resultID];
+					deferredResult.resolve(unmarshal(result.result));
+					stats.invocation(
+						method,
+						util.now(context) - started,
+						'ok');
+				}
+			}).then(undefined, function(error) {
+				settle();
+				if (!destroyed) {
+					delete deferredResults[resultID];
+					deferredResult.reject(error);
+					stats.invocation(
+						method,
+						util.now(context) - started,
+						error instanceof errors.TimeoutError ? 'timeout' :
+							error instanceof errors.CancellationError ?
+								'cancelled' :
+								'error');
+				}
+			});
+
+			// give up if it takes too long
+			var timeout = callOptions.timeout !== undefined ?
+				callOptions.timeout :
+				options.invokeTimeout;
+			if (timeout > 0) {
+				timeoutToken = context.setTimeout(function() {
+					timeoutToken = undefined;
+					cancel(new errors.TimeoutError(
+						'invocation of ' + method + ' timed out after ' +
+						timeout + 'ms',
+						timeout));
+				}, timeout);
+			}
+
+			/**
+			 * Cancels this invocation, rejecting its result with a
+			 * CancellationError. Has no effect if the invocation is over.
+			 */
+			deferredResult.promise.abort = function() {
+				cancel(new errors.CancellationError(
+					'invocation of ' + method + ' cancelled'));
+			};
+
+			return deferredResult.promise;
+		}
+
+		// one-way invocations are simply sent; nothing comes back for them
+		function invokeOneWay(method, args, callOptions) {
+			var rejected = sendRequest({
+				action: 'invoke',
+				instanceID: instanceID,
+				method: method,
+				args: args,
+				oneWay: true
+			}, callOptions);
+			if (rejected) {
+				// it couldn't be held while offline, and nobody's waiting
+				rejected.then(undefined, ignore);
+			}
+		}
+
+		// streaming invocations work a little differently; the invocation
+		// only starts the stream and its results arrive in separate messages
+		function invokeStream(method, args, callOptions) {
+			var credit = callOptions.credit || options.streamCredit || 16;
+			var request = {
+				action: 'invoke',
+				instanceID: instanceID,
+				method: method,
+				args: args,
+				stream: {credit: credit}
+			};
+
+			// create the stream, letting the server know as it's consumed
+			var control = {};
+			var stream = resultStream.create(
+				context,
+				credit,
+				function(consumed) {
+					if (connected && streams[request.requestID]) {
+						sendRequest({
+							action: 'credit',
+							target: request.requestID,
+							credit: consumed
+						}, {priority: 'high'}).then(undefined, ignore);
+					}
+				},
+				function() {
+					if (streams[request.requestID] && !destroyed) {
+						delete streams[request.requestID];
+						cancelRequest(
+							request.requestID,
+							new errors.CancellationError(
+								'stream of ' + method + ' cancelled'));
+					}
+				},
+				control);
+
+			// send off the invocation, failing the stream if it fails
+			var sent = sendRequest(request, callOptions);
+			sent.then(undefined, function(error) {
+				if (streams[request.requestID] === control) {
+					delete streams[request.requestID];
+					control.fail(error);
+				}
+			});
+			streams[request.requestID] = control;
+			streamIDs = streamIDs.filter(function(streamID) {
+				return !!streams[streamID];
+			}).concat([request.requestID]);
+
+			return stream;
+		}
+
+		// need a function that can be invoked when the object is destroyed
+		function onDestroy(error, detached) {
+			// remember, remember that we were dismembered
+			destroyed = true;
+			var lost = !!error;
+
+			// reject all pending invocation results
+			error = error || new errors.RemoteObjectDestroyedError(
+				'remote object ' + (detached ? 'detached' : 'destroyed'));
+			var resultIDs = Object.getOwnPropertyNames(deferredResults);
+			resultIDs.forEach(function(resultID) {
+				deferredResults[resultID].reject(error);
+			});
+			deferredResults = {};
+			failStreams(function(requestID) {
+				return streamIDs.indexOf(requestID) >= 0;
+			}, error);
+			streamIDs = [];
+
+			// the server can't call back functions passed to it any more
+			releaseCallbacks(callbackIDs);
+			callbackIDs = [];
+
+			// let server side know we're done with it, unless it was lost
+			// along with its session, in which case its instance ID may
+			// belong to another object by now
+			if (instances[instanceID] === record) {
+				delete instances[instanceID];
+			}
+			if (!lost) {
+				release(instanceID, detached ? 'detach' : 'destroy');
+			}
+		}
+
+		// need an update function that the remote object instance can use to
+		// update its writable properties
+		function update(name, value) {
+			return sendRequest({
+				action: 'set',
+				instanceID: instanceID,
+				property: name,
+				value: marshal(value)
+			});
+		}
+
+		// need a subscribe function that the remote object instance can use
+		// to tell the server which of its events to send, if the server
+		// cares to know
+		function subscribe(event, listening, filters) {
+			if (!filtering || destroyed || !connected) {
+				return;
+			}
+			var request = listening ? {
+				action: 'subscribe',
+				instanceID: instanceID,
+				event: event,
+				filters: filters
+			} : {
+				action: 'unsubscribe',
+				instanceID: instanceID,
+				event: event
+			};
+			sendRequest(request).then(undefined, ignore);
+		}
+
+		// need a control object that will allow us to control the remote
+		// object instance
+		var control = {};
+
+		// create the remote object
+		var ro = remoteObject.create(
+			methods,
+			invoke,
+			onDestroy,
+			control,
+			properties,
+			update,
+			subscribe);
+
+		// index it and its control functions
+		var record = {
+			instance: ro,
+			fire: control.fire,
+			onPropertyChange: control.onPropertyChange,
+			onLoss: control.onLoss,
+			recipe: recipe,
+			getInstanceID: function() {
+				return instanceID;
+			},
+			pendingInvocations: function() {
+				return Object.getOwnPropertyNames(deferredResults).length;
+			},
+			setInstanceID: function(newInstanceID) {
+				instanceID = newInstanceID;
+			},
+			resubscribe: function() {
+				control.subscriptions().forEach(function(subscription) {
+					subscribe(subscription.event, true, subscription.filters);
+				});
+			}
+		};
+		instances[instanceID] = record;
+
+		return ro;
+	}
+
+	// pick up where a previous connection left off, if it was offline
+	loadOutbox();
+
+	return this;
+}
+
+/**
+ * Builds the url with which to establish a session, offering the server our
+ * codec if we have one.
+ * @param url the base url of the server
+ * @param options normalized connection options
+ * @returns {string} the url to establish a session with
+ */
+function establishUrl(url, options) {
+	if (!options.codec) {
+		return url;
+	}
+	return url + (url.indexOf('?') >= 0 ? '&' : '?') +
+		'codec=' + encodeURIComponent(options.codec.name);
+}
+
+/**
+ * Determines whether the server accepted the codec we offered.
+ * @param options normalized connection options
+ * @param data the server's response to the request establishing a session
+ * @returns {Codec} our codec if it was accepted, otherwise undefined
+ */
+function negotiateCodec(options, data) {
+	return options.codec && data.codec === options.codec.name ?
+		options.codec :
+		undefined;
+}
+
+/**
+ * Creates a policy allowing invocations of the named methods to be held while
+ * the connection is down.
+ * @param methods the names of the methods that may be held
+ * @returns {Function} the policy function
+ */
+function bufferMethods(methods) {
+	return function(request) {
+		return request.action === 'invoke' &&
+			methods.indexOf(request.method) >= 0;
+	};
+}
+
+/**
+ * Normalizes the description of a method received from the server. The
+ * server may describe a method with its name only, or with a descriptor
+ * object with the method's 'name', the 'params' it takes (an array of
+ * objects with the 'name' and 'type' of each parameter, and whether it is
+ * 'optional'), whether it is 'oneWay' (i.e. its invocations expect no
+ * result) and its documentation ('doc').
+ * @param method the name or descriptor of the method
+ * @returns {Object} the method's descriptor
+ */
+function describeMethod(method) {
+	if (typeof method === 'string') {
+		return {name: method, oneWay: false};
+	}
+	if (!util.isPlainObject(method) || typeof method.name !== 'string') {
+		throw new errors.ProtocolError(
+			'invalid method; expected name or descriptor');
+	}
+	if (method.params !== undefined && !Array.isArray(method.params)) {
+		throw new errors.ProtocolError(
+			'invalid method descriptor; expected array of params');
+	}
+	return {
+		name: method.name,
+		params: method.params,
+		oneWay: !!method.oneWay,
+		doc: method.doc
+	};
+}
+
+/**
+ * Checks that the arguments of an invocation match the parameters of the
+ * method, if the server has described them. A parameter's type may be any
+ * of the types reported by typeof, 'null', 'array', 'remote' (a remote
+ * object), or several of these separated by '|'; if it has no type, or its
+ * type is 'any', anything goes.
+ * @param descriptor the descriptor of the method
+ * @param args the arguments of the invocation
+ * @throws {ValidationError} if the arguments don't match
+ */
+function validateArgs(descriptor, args) {
+	var params = descriptor.params;
+	if (!params) {
+		return;
+	}
+
+	var required = params.filter(function(param) {
+		return !param.optional;
+	}).length;
+	if (args.length < required || args.length > params.length) {
+		throw new errors.ValidationError(
+			descriptor.name + ' takes ' +
+			(required === params.length ?
+				required :
+				required + ' to ' + params.length) +
+			' arguments but was passed ' + args.length,
+			descriptor.name);
+	}
+
+	params.forEach(function(param, i) {
+		if (!param.type || param.type === 'any' ||
+			(param.optional && args[i] === undefined)) {
+			return;
+		}
+		var type = typeOf(args[i]);
+		if (param.type.split('|').indexOf(type) < 0) {
+			throw new errors.ValidationError(
+				'argument ' + (param.name || i) + ' of ' + descriptor.name +
+				' should be ' + param.type + ' but is ' + type,
+				descriptor.name);
+		}
+	});
+}
+
+/**
+ * Gets the type of a value as named in method descriptors.
+ * @param value the value
+ * @returns {string} the type of the value
+ */
+function typeOf(value) {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	if (require('./remoteObject.js').isRemoteObject(value)) {
+		return 'remote';
+	}
+	return typeof value;
+}
+
+/**
+ * Converts an error thrown by a function invoked on behalf of the server to
+ * something that can be sent back to it.
+ * @param error the error
+ * @returns {Object} an object with the 'name' and 'message' of the error
+ */
+function serializeError(error) {
+	if (error instanceof Error) {
+		return {name: error.name, message: error.message};
+	}
+	return {name: 'Error', message: String(error)};
+}
+
+/**
+ * Ignores the outcome of a request nobody is waiting on.
+ */
+function ignore() {
+	return undefined;
+}
+
+/**
+ * Determines whether a request held while offline could be sent by a later
+ * connection, i.e. whether it's an invocation which doesn't stream results
+ * to a consumer that is gone by then.
+ * @param request the request
+ * @returns {boolean} true if the request could be sent later
+ */
+function isReplayable(request) {
+	return request.action === 'invoke' && !request.stream;
+}
+
+/**
+ * Determines whether a value refers to remote objects or callbacks, which
+ * only the connection that sent it knows about.
+ * @param value the value, as sent to the server
+ * @returns {boolean} true if the value refers to remote objects or callbacks
+ */
+function refersToConnection(value) {
+	if (Array.isArray(value)) {
+		return value.some(refersToConnection);
+	}
+	if (util.isPlainObject(value)) {
+		return value.$instance !== undefined ||
+			value.$callback !== undefined ||
+			Object.keys(value).some(function(key) {
+				return refersToConnection(value[key]);
+			});
+	}
+	return false;
+}
+
+/**
+ * Replaces the references to remote object instances (objects with an
+ * '$instance' property) contained in a value, in arrays and plain objects,
+ * with whatever the provided function returns for them. The value is
+ * modified in place.
+ * @param value the value
+ * @param fn the function to invoke with each reference
+ * @returns {*} the value with its references replaced
+ */
+function mapReferences(value, fn) {
+	if (Array.isArray(value)) {
+		for (var i = 0; i < value.length; i++) {
+			value[i] = mapReferences(value[i], fn);
+		}
+	} else if (util.isPlainObject(value)) {
+		if (value.$instance !== undefined) {
+			return fn(value);
+		}
+		Object.keys(value).forEach(function(key) {
+			value[key] = mapReferences(value[key], fn);
+		});
+	}
+	return value;
+}
+
+/**
+ * Determines whether a connection loss or failed request was caused by the
+ * server no longer knowing about the connection's session.
+ * @param error the error describing the connection loss, or the error the
+ * request failed with
+ * @returns {boolean} true if the session is gone
+ */
+function isSessionGone(error) {
+	var cause = error instanceof errors.ConnectionLostError ?
+		error.cause :
+		error;
+	return !!cause && (cause.status === 404 || cause.status === 410);
+}
+
+/**
+ * Describes an error for inclusion in another error's message.
+ * @param error the error to describe
+ * @returns {string} a description of the error
+ */
+function describeError(error) {
+	if (error && error.message) {
+		return error.message;
+	}
+	if (error && error.status !== undefined) {
+		return 'request failed with status ' + error.status;
+	}
+	return String(error);
 }
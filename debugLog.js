@@ -0,0 +1,90 @@
+'use strict';
+
+var util = require('./util.js');
+
+/**
+ * Creates a new debug log, which keeps the most recent entries recorded.
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in; entries are stamped by its clock
+ * @param size the maximum number of entries to keep
+ * @returns {DebugLog}
+ */
+module.exports.create = function(context, size) {
+	return new DebugLog(context, size);
+};
+
+/**
+ * A bounded log of a connection's traffic, for inclusion in bug reports.
+ * Once full, each new entry replaces the oldest.
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param size the maximum number of entries to keep
+ * @constructor
+ */
+function DebugLog(context, size) {
+	var self = this;
+
+	// the entries, oldest first once the log has wrapped around
+	var entries = [];
+
+	// where the next entry goes once the log is full
+	var next = 0;
+
+	/**
+	 * Records an entry.
+	 * @param direction 'out' for something sent, 'in' for something received
+	 * or 'event' for something that happened to the connection
+	 * @param type the kind of thing, e.g. 'request' or 'message'
+	 * @param [data] the thing itself
+	 */
+	self.record = function(direction, type, data) {
+		var entry = {
+			time: util.now(context),
+			direction: direction,
+			type: type,
+			data: snapshot(data)
+		};
+		if (entries.length < size) {
+			entries.push(entry);
+		} else {
+			entries[next] = entry;
+			next = (next + 1) % size;
+		}
+	};
+
+	/**
+	 * Gets the entries in this log.
+	 * @returns {Array} the entries, oldest first; each with the 'time' it was
+	 * recorded, the 'direction', the 'type' and the 'data'
+	 */
+	self.entries = function() {
+		return entries.slice(next).concat(entries.slice(0, next));
+	};
+
+	/**
+	 * Empties this log.
+	 */
+	self.clear = function() {
+		entries = [];
+		next = 0;
+	};
+
+	return this;
+}
+
+/**
+ * Takes a snapshot of a value, so later changes to it don't show in the log.
+ * @param value the value
+ * @returns {*} a deep copy of the value if it can be represented as JSON,
+ * otherwise the value itself
+ */
+function snapshot(value) {
+	if (typeof value !== 'object' || value === null) {
+		return value;
+	}
+	try {
+		return JSON.parse(JSON.stringify(value));
+	} catch (e) {
+		return value;
+	}
+}
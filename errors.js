@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Base type of all errors raised by the JSRO library.
+ * @param message a description of the error
+ * @constructor
+ */
+function JsroError(message) {
+	init(this, message);
+}
+inherit(JsroError, Error, 'JsroError');
+module.exports.JsroError = JsroError;
+
+/**
+ * Raised when the connection to the server is lost or closed, e.g. to reject
+ * requests that can no longer be answered, or to refuse new requests on
+ * a connection that is closed or closing.
+ * @param message a description of the error
+ * @param [cause] the underlying error, e.g. the failed transport request
+ * @constructor
+ */
+function ConnectionLostError(message, cause) {
+	init(this, message);
+	this.cause = cause;
+}
+inherit(ConnectionLostError, JsroError, 'ConnectionLostError');
+module.exports.ConnectionLostError = ConnectionLostError;
+
+/**
+ * Raised when using a remote object that has been destroyed, or to reject
+ * invocations that were pending when it was destroyed.
+ * @param message a description of the error
+ * @constructor
+ */
+function RemoteObjectDestroyedError(message) {
+	init(this, message);
+}
+inherit(RemoteObjectDestroyedError, JsroError, 'RemoteObjectDestroyedError');
+module.exports.RemoteObjectDestroyedError = RemoteObjectDestroyedError;
+
+/**
+ * Raised when the server reports that a request failed, e.g. because a remote
+ * method threw. The details provided by the server are kept in the
+ * 'remoteName', 'remoteStack' and 'code' properties.
+ * @param error the error reported by the server; either an object with any of
+ * 'name', 'message', 'stack' and 'code' properties, or a message
+ * @constructor
+ */
+function RemoteInvocationError(error) {
+	if (typeof error === 'object' && error !== null) {
+		init(this, String(error.message || error.name || 'remote error'));
+		this.remoteName = error.name;
+		this.remoteStack = error.stack;
+		this.code = error.code;
+	} else {
+		init(this, String(error));
+	}
+}
+inherit(RemoteInvocationError, JsroError, 'RemoteInvocationError');
+module.exports.RemoteInvocationError = RemoteInvocationError;
+
+/**
+ * Raised when the server sends something the client doesn't understand.
+ * @param message a description of the error
+ * @constructor
+ */
+function ProtocolError(message) {
+	init(this, message);
+}
+inherit(ProtocolError, JsroError, 'ProtocolError');
+module.exports.ProtocolError = ProtocolError;
+
+/**
+ * Raised when a remote method invocation does not complete within its
+ * timeout.
+ * @param message a description of the error
+ * @param [timeout] the timeout in milliseconds that was exceeded
+ * @constructor
+ */
+function TimeoutError(message, timeout) {
+	init(this, message);
+	this.timeout = timeout;
+}
+inherit(TimeoutError, JsroError, 'TimeoutError');
+module.exports.TimeoutError = TimeoutError;
+
+/**
+ * Raised when a remote method invocation is cancelled by the client.
+ * @param message a description of the error
+ * @constructor
+ */
+function CancellationError(message) {
+	init(this, message);
+}
+inherit(CancellationError, JsroError, 'CancellationError');
+module.exports.CancellationError = CancellationError;
+
+/**
+ * Raised when the arguments passed to a remote method don't match what the
+ * server says the method takes.
+ * @param message a description of the error
+ * @param [method] the name of the method
+ * @constructor
+ */
+function ValidationError(message, method) {
+	init(this, message);
+	this.method = method;
+}
+inherit(ValidationError, JsroError, 'ValidationError');
+module.exports.ValidationError = ValidationError;
+
+/**
+ * Raised when a batch of requests could not be sent while the connection
+ * itself survives, i.e. when sending several batches at once, to reject the
+ * requests in the failed batch.
+ * @param message a description of the error
+ * @param [cause] the underlying error, e.g. the failed transport request
+ * @constructor
+ */
+function RequestFailedError(message, cause) {
+	init(this, message);
+	this.cause = cause;
+}
+inherit(RequestFailedError, JsroError, 'RequestFailedError');
+module.exports.RequestFailedError = RequestFailedError;
+
+/**
+ * Sets up an error type to inherit from a parent error type.
+ * @param ErrorType the error type constructor
+ * @param Parent the parent error type constructor
+ * @param name the name of the error type
+ */
+function inherit(ErrorType, Parent, name) {
+	ErrorType.prototype = Object.create(Parent.prototype);
+	ErrorType.prototype.constructor = ErrorType;
+	ErrorType.prototype.name = name;
+}
+
+/**
+ * Initializes the message and stack trace of a new error.
+ * @param error the error being constructed
+ * @param message a description of the error
+ */
+function init(error, message) {
+	error.message = message;
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(error, error.constructor);
+	} else {
+		error.stack = new Error(message).stack;
+	}
+}
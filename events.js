@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * The event name with which to listen to every event.
+ */
+var WILDCARD = '*';
+module.exports.WILDCARD = WILDCARD;
+
+/**
+ * Creates a new set of event listeners.
+ * @param [onChange] a function to invoke with the name of an event whenever
+ * a listener for it is registered or unregistered
+ * @returns {Events}
+ */
+module.exports.create = function(onChange) {
+	return new Events(onChange);
+};
+
+/**
+ * Manages the listeners of a set of events and fires events at them. Builds
+ * on a trigger, adding listeners which are invoked once only, wildcard
+ * listeners which are invoked for every event with the event name followed
+ * by its arguments, and filters, which are kept along with listeners for
+ * whoever is told of changes to make sense of.
+ * @param [onChange] a function to invoke with the name of an event whenever
+ * a listener for it is registered or unregistered
+ * @constructor
+ */
+function Events(onChange) {
+	var self = this;
+
+	// a trigger to do the actual firing
+	var trigger = require('trigger-maker').create();
+
+	// registered listeners, each with its 'event', its function 'fn', its
+	// 'filter' and the 'wrapper' function registered with the trigger
+	var listeners = [];
+
+	/**
+	 * Registers a listener for a type of event.
+	 * @param {string} event the event type, or '*' for all events
+	 * @param {Function} fn the function to invoke to handle the event
+	 * @param [filter] a filter to keep along with the listener
+	 */
+	self.on = function(event, fn, filter) {
+		add(event, fn, filter, false);
+	};
+
+	/**
+	 * Registers a listener for the next event of a type only.
+	 * @param {string} event the event type, or '*' for any event
+	 * @param {Function} fn the function to invoke to handle the event
+	 * @param [filter] a filter to keep along with the listener
+	 */
+	self.once = function(event, fn, filter) {
+		add(event, fn, filter, true);
+	};
+
+	/**
+	 * Unregisters one or all listeners for an event.
+	 * @param event the event to unregister for
+	 * @param [fn] if provided, the listener function to unregister; if not
+	 * provided, all listeners will be unregistered
+	 */
+	self.off = function(event, fn) {
+		if (typeof event !== 'string') {
+			throw new Error('"event" not a string');
+		}
+		if (fn !== undefined && !(fn instanceof Function)) {
+			throw new Error('"fn" not a Function');
+		}
+		remove(listeners.filter(function(listener) {
+			return listener.event === event &&
+				(fn === undefined || listener.fn === fn);
+		}));
+	};
+
+	/**
+	 * Fires an event, at its listeners and then at the wildcard listeners.
+	 * @param {string} event the event to fire
+	 * @param {...*} arguments to pass to the event handlers
+	 */
+	self.fire = function(event) {
+		trigger.fire.apply(trigger, arguments);
+		if (event !== WILDCARD) {
+			var args = Array.prototype.slice.call(arguments, 0);
+			trigger.fire.apply(trigger, [WILDCARD].concat(args));
+		}
+	};
+
+	/**
+	 * Gets the events which have listeners.
+	 * @returns {Array} the names of the events
+	 */
+	self.names = function() {
+		var names = [];
+		listeners.forEach(function(listener) {
+			if (names.indexOf(listener.event) < 0) {
+				names.push(listener.event);
+			}
+		});
+		return names;
+	};
+
+	/**
+	 * Determines whether an event has listeners.
+	 * @param event the event
+	 * @returns {boolean} true if there are listeners for the event
+	 */
+	self.listening = function(event) {
+		return listeners.some(function(listener) {
+			return listener.event === event;
+		});
+	};
+
+	/**
+	 * Gets the filters kept along with the listeners for an event.
+	 * @param event the event
+	 * @returns {Array} the filters, or undefined if any listener for the
+	 * event has none
+	 */
+	self.filters = function(event) {
+		var filters = [];
+		var unfiltered = listeners.some(function(listener) {
+			if (listener.event !== event) {
+				return false;
+			}
+			filters.push(listener.filter);
+			return listener.filter === undefined;
+		});
+		return unfiltered ? undefined : filters;
+	};
+
+	/**
+	 * Registers a listener.
+	 * @param event the event type
+	 * @param fn the function to invoke to handle the event
+	 * @param filter the filter to keep along with the listener
+	 * @param once true to unregister the listener once it's invoked
+	 */
+	function add(event, fn, filter, once) {
+		if (typeof event !== 'string') {
+			throw new Error('"event" not a string');
+		}
+		if (!(fn instanceof Function)) {
+			throw new Error('"fn" not a Function');
+		}
+
+		var listener = {
+			event: event,
+			fn: fn,
+			filter: filter,
+			wrapper: function() {
+				if (once) {
+					remove([listener]);
+				}
+				return fn.apply(global, arguments);
+			}
+		};
+		trigger.on(event, listener.wrapper);
+		listeners.push(listener);
+		if (onChange) {
+			onChange(event);
+		}
+	}
+
+	/**
+	 * Unregisters listeners.
+	 * @param removed the listeners to unregister
+	 */
+	function remove(removed) {
+		var events = [];
+		removed.forEach(function(listener) {
+			var index = listeners.indexOf(listener);
+			if (index >= 0) {
+				listeners.splice(index, 1);
+				trigger.off(listener.event, listener.wrapper);
+				if (events.indexOf(listener.event) < 0) {
+					events.push(listener.event);
+				}
+			}
+		});
+		if (onChange) {
+			events.forEach(function(event) {
+				onChange(event);
+			});
+		}
+	}
+
+	return this;
+}
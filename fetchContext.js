@@ -0,0 +1,204 @@
+'use strict';
+
+var util = require('./util.js');
+
+/**
+ * Creates a functionality context for operating in a browser without any
+ * framework, using the Fetch API (or XMLHttpRequest where fetch is not
+ * available) and native promises.
+ * @returns {Context}
+ */
+module.exports.create = function() {
+	return new Context();
+};
+
+/**
+ * A functionality context for operating in a plain browser environment.
+ * @constructor
+ */
+function Context() {
+	/**
+	 * Performs an HTTP request.
+	 * @param method the request method, e.g. 'GET', 'POST', etc.
+	 * @param url the url of the JSRO server
+	 * @param [data] optional data to send with the request
+	 * @param [headers] optional additional request headers indexed by name
+	 * @returns {promise} a promise for the request result; the promise
+	 * will also have a function property, 'abort' which will cause
+	 * the request to be aborted
+	 */
+	this.request = function(method, url, data, headers) {
+		return typeof fetch === 'function' ?
+			fetchRequest(method, url, data, headers) :
+			xhrRequest(method, url, data, headers);
+	};
+
+	/**
+	 * Opens a WebSocket.
+	 * @param url the url of the socket, using the ws: or wss: scheme
+	 * @returns {WebSocket} a new socket
+	 */
+	this.openWebSocket = function(url) {
+		return new WebSocket(url);
+	};
+
+	/**
+	 * Opens an EventSource.
+	 * @param url the url of the event stream
+	 * @returns {EventSource} a new event source
+	 */
+	this.openEventSource = function(url) {
+		return new EventSource(url);
+	};
+
+	/**
+	 * Schedules a function to be called after the specified delay.
+	 * @param fn the callback function
+	 * @param delay the delay in milliseconds
+	 * @returns {*} a token which can be passed to clearTimeout()
+	 * to cancel the timeout
+	 */
+	this.setTimeout = function(fn, delay) {
+		return setTimeout(fn, delay);
+	};
+
+	/**
+	 * Cancels a previously scheduled timeout.
+	 * @param token a token provided by a call to setTimeout()
+	 */
+	this.clearTimeout = function(token) {
+		clearTimeout(token);
+	};
+
+	/**
+	 * Creates and returns a deferred promise object.
+	 */
+	this.defer = function() {
+		var deferred = {};
+		deferred.promise = new Promise(function(resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		return deferred;
+	};
+
+	return this;
+}
+
+/**
+ * Performs an HTTP request using the Fetch API.
+ * @param method the request method
+ * @param url the url to request
+ * @param [data] optional data to send as the JSON request body
+ * @param [headers] optional additional request headers indexed by name
+ * @returns {promise} an abortable promise for the parsed response body
+ */
+function fetchRequest(method, url, data, headers) {
+	var controller = typeof AbortController === 'function' ?
+		new AbortController() :
+		undefined;
+	var aborted = false;
+
+	// configure the request
+	var init = {
+		method: method,
+		headers: {Accept: 'application/json'},
+		credentials: 'same-origin'
+	};
+	if (data) {
+		init.headers['Content-Type'] = 'application/json';
+		init.body = JSON.stringify(data);
+	}
+	Object.keys(headers || {}).forEach(function(name) {
+		init.headers[name] = headers[name];
+	});
+	if (controller) {
+		init.signal = controller.signal;
+	}
+
+	// perform the request
+	var requestPromise = fetch(url, init).then(function(response) {
+		return response.text().then(function(text) {
+			if (!response.ok) {
+				throw util.statusError(response.status, text);
+			}
+			return parseBody(text);
+		});
+	}).then(function(result) {
+		if (aborted) {
+			throw util.abortError();
+		}
+		return result;
+	}, function(error) {
+		throw aborted ? util.abortError() : error;
+	});
+
+	// add an abort function to the request promise
+	requestPromise.abort = function() {
+		aborted = true;
+		if (controller) {
+			controller.abort();
+		}
+	};
+
+	return requestPromise;
+}
+
+/**
+ * Performs an HTTP request using XMLHttpRequest.
+ * @param method the request method
+ * @param url the url to request
+ * @param [data] optional data to send as the JSON request body
+ * @param [headers] optional additional request headers indexed by name
+ * @returns {promise} an abortable promise for the parsed response body
+ */
+function xhrRequest(method, url, data, headers) {
+	var xhr = new XMLHttpRequest();
+
+	var requestPromise = new Promise(function(resolve, reject) {
+		xhr.open(method, url);
+		xhr.setRequestHeader('Accept', 'application/json');
+		Object.keys(headers || {}).forEach(function(name) {
+			xhr.setRequestHeader(name, headers[name]);
+		});
+		xhr.onload = function() {
+			if (xhr.status < 200 || xhr.status >= 300) {
+				reject(util.statusError(xhr.status, xhr.responseText));
+				return;
+			}
+			try {
+				resolve(parseBody(xhr.responseText));
+			} catch (e) {
+				reject(e);
+			}
+		};
+		xhr.onerror = function() {
+			reject(new Error('network error requesting ' + url));
+		};
+		xhr.onabort = function() {
+			reject(util.abortError());
+		};
+		if (data) {
+			xhr.setRequestHeader('Content-Type', 'application/json');
+			xhr.send(JSON.stringify(data));
+		} else {
+			xhr.send();
+		}
+	});
+
+	// add an abort function to the request promise
+	requestPromise.abort = function() {
+		xhr.abort();
+	};
+
+	return requestPromise;
+}
+
+/**
+ * Parses a response body as JSON.
+ * @param text the response body text
+ * @returns {*} the parsed body, or undefined if the body was empty
+ */
+function parseBody(text) {
+	return text ? JSON.parse(text) : undefined;
+}
@@ -0,0 +1,439 @@
+// Type definitions for jsro-client. These are maintained by hand alongside
+// the library; keep them in step with the JSDoc of the modules they describe.
+// Typed interfaces for a particular server's remote objects can be generated
+// from its schema with the jsro-typegen command (see typegen.js).
+
+/**
+ * A promise which may be aborted, e.g. the result of a remote method
+ * invocation, which is then rejected with a CancellationError.
+ */
+export interface AbortablePromise<T> extends Promise<T> {
+	abort(): void;
+}
+
+/**
+ * Options for a single remote method invocation (see
+ * RemoteMethod.withOptions).
+ */
+export interface CallOptions {
+	/** milliseconds to wait for the invocation before it times out */
+	timeout?: number;
+	/** true to invoke the method in streaming mode */
+	stream?: boolean;
+	/** the number of chunks the server may send ahead of the consumer */
+	credit?: number;
+	/** sends the invocation ahead of or behind other waiting requests */
+	priority?: 'high' | 'normal' | 'low';
+	/** false to let the invocation overtake earlier ones to the object */
+	ordered?: boolean;
+}
+
+/**
+ * A stream of results from a streaming invocation.
+ */
+export interface ResultStream<T> extends AsyncIterableIterator<T> {
+	/** cancels the invocation, rejecting pending next() calls */
+	abort(): void;
+}
+
+/**
+ * A method of a remote object taking arguments A and resolving to R.
+ */
+export interface RemoteMethod<A extends any[] = any[], R = any> {
+	(...args: A): AbortablePromise<R>;
+	withOptions(callOptions?: CallOptions): (...args: A) => AbortablePromise<R>;
+	stream(...args: A): ResultStream<R>;
+}
+
+/**
+ * A one-way method of a remote object; nothing comes back from it.
+ */
+export interface OneWayMethod<A extends any[] = any[]> {
+	(...args: A): void;
+	withOptions(callOptions?: CallOptions): (...args: A) => void;
+}
+
+/**
+ * Describes a parameter of a remote method.
+ */
+export interface ParamDescriptor {
+	name?: string;
+	/** e.g. 'string', 'number|null', 'array', 'remote' or 'any' */
+	type?: string;
+	optional?: boolean;
+}
+
+/**
+ * Describes a remote method, as far as the server has described it.
+ */
+export interface MethodDescriptor {
+	name: string;
+	params?: ParamDescriptor[];
+	oneWay: boolean;
+	doc?: string;
+}
+
+/**
+ * The description of a remote object returned by RemoteObject.describe().
+ */
+export interface Description {
+	methods: MethodDescriptor[];
+	properties: {[name: string]: {writable: boolean}};
+}
+
+/**
+ * Events every remote object fires, with the arguments of their listeners.
+ */
+export interface RemoteObjectEvents {
+	loss: [error: Error];
+	destroy: [];
+	detach: [];
+	restored: [];
+}
+
+/**
+ * A remote object. E maps the names of the events the server fires from it
+ * to the arguments passed to their listeners.
+ */
+export interface RemoteObject<E = {[event: string]: any[]}> {
+	on<K extends keyof (E & RemoteObjectEvents)>(
+		event: K,
+		fn: (...args: Extract<(E & RemoteObjectEvents)[K], any[]>) => void,
+		filter?: any
+	): void;
+	on(event: string, fn: (...args: any[]) => void, filter?: any): void;
+	once<K extends keyof (E & RemoteObjectEvents)>(
+		event: K,
+		fn: (...args: Extract<(E & RemoteObjectEvents)[K], any[]>) => void,
+		filter?: any
+	): void;
+	once(event: string, fn: (...args: any[]) => void, filter?: any): void;
+	off(event: string, fn?: (...args: any[]) => void): void;
+	destroy(): void;
+	detach(): void;
+	describe(): Description;
+}
+
+/**
+ * A remote object whose methods and properties aren't known at compile time.
+ */
+export interface UntypedRemoteObject extends RemoteObject {
+	[member: string]: any;
+}
+
+/**
+ * Maps the names of server-side factories to the spec they create instances
+ * from and the remote objects they create. Empty unless augmented, e.g. by
+ * interfaces generated with jsro-typegen:
+ *
+ *     declare module 'jsro-client' {
+ *         interface Factories {
+ *             Counter: {spec: CounterSpec; object: Counter};
+ *         }
+ *     }
+ */
+export interface Factories {
+}
+
+/**
+ * The spec the named factory creates instances from.
+ */
+export type SpecOf<N extends string> =
+	N extends keyof Factories ?
+		(Factories[N] extends {spec: infer S} ? S : any) :
+		any;
+
+/**
+ * The remote objects the named factory creates.
+ */
+export type ObjectOf<N extends string> =
+	N extends keyof Factories ?
+		(Factories[N] extends {object: infer O} ? O : UntypedRemoteObject) :
+		UntypedRemoteObject;
+
+/**
+ * Events a connection fires, with the arguments of their listeners.
+ */
+export interface ConnectionEvents {
+	loss: [error: Error];
+	disconnect: [];
+	reconnecting: [attempt: number, delay: number, error: Error];
+	reconnected: [];
+	statechange: [state: ConnectionState, previous: ConnectionState];
+	unauthorized: [error: Error];
+	metric: [metric: Metric];
+}
+
+/**
+ * A metric recorded in a connection's stats, fired with the 'metric' event.
+ */
+export type Metric =
+	{type: 'invocation'; method: string; latency: number;
+		outcome: 'ok' | 'error' | 'timeout' | 'cancelled'} |
+	{type: 'batch'; size: number} |
+	{type: 'poll'; timedOut: boolean} |
+	{type: 'reconnecting'; attempt: number; delay: number} |
+	{type: 'reconnected'};
+
+/**
+ * Statistics about the invocations of a remote method.
+ */
+export interface InvocationStats {
+	count: number;
+	ok: number;
+	error: number;
+	timeout: number;
+	cancelled: number;
+	minLatency: number;
+	maxLatency: number;
+	averageLatency: number;
+	lastLatency: number;
+}
+
+/**
+ * Statistics about a connection (see Connection.stats()).
+ */
+export interface ConnectionStats {
+	invocations: {[method: string]: InvocationStats};
+	batches: {count: number; requests: number; largest: number};
+	polls: {cycles: number; timeouts: number};
+	reconnects: {attempts: number; successes: number};
+	state: {
+		connected: boolean;
+		reconnecting: boolean;
+		transport: string;
+		queueDepth: number;
+		pendingRequests: number;
+		batchesInFlight: number;
+		instances: number;
+		pendingInvocations: number;
+	};
+}
+
+/**
+ * An entry in a connection's debug log.
+ */
+export interface DebugLogEntry {
+	time: number;
+	direction: 'out' | 'in' | 'event';
+	type: string;
+	data?: any;
+}
+
+/**
+ * The lifecycle state of a connection.
+ */
+export type ConnectionState =
+	'connecting' | 'open' | 'reconnecting' | 'closing' | 'closed';
+
+/**
+ * Options for disconnecting a connection.
+ */
+export interface DisconnectOptions {
+	graceful?: boolean;
+	timeout?: number;
+}
+
+/**
+ * A connection to a JSRO server.
+ */
+export interface Connection {
+	readonly state: ConnectionState;
+	create<N extends string>(name: N, spec?: SpecOf<N>): Promise<ObjectOf<N>>;
+	get<N extends string>(name: N, key?: any): Promise<ObjectOf<N>>;
+	attach<N extends string>(name: N, key?: any): Promise<ObjectOf<N>>;
+	use(interceptor: Interceptor): () => void;
+	stats(): ConnectionStats;
+	debugLog(): DebugLogEntry[] | undefined;
+	disconnect(options?: DisconnectOptions): Promise<boolean>;
+	on<K extends keyof ConnectionEvents>(
+		event: K,
+		fn: (...args: ConnectionEvents[K]) => void
+	): void;
+	on(event: '*', fn: (event: string, ...args: any[]) => void): void;
+	once<K extends keyof ConnectionEvents>(
+		event: K,
+		fn: (...args: ConnectionEvents[K]) => void
+	): void;
+	once(event: '*', fn: (event: string, ...args: any[]) => void): void;
+	off(
+		event: keyof ConnectionEvents | '*',
+		fn?: (...args: any[]) => void
+	): void;
+}
+
+/**
+ * An HTTP request as seen by an interceptor.
+ */
+export interface HttpRequest {
+	method: string;
+	url: string;
+	data?: any;
+	headers: {[name: string]: string};
+}
+
+/**
+ * An interceptor injecting behavior around a connection's traffic.
+ */
+export interface Interceptor {
+	http?(
+		request: HttpRequest,
+		next: (request?: HttpRequest) => Promise<any>
+	): PromiseLike<any> | any;
+	request?(req: any): any;
+	batch?(batch: any[]): any[] | void;
+	message?(message: any): any;
+	error?(error: Error): void;
+}
+
+/**
+ * Requests held while offline, persisted for a later connection to replay.
+ */
+export interface Outbox {
+	objects: {obtain: any; invocations: any[]}[];
+}
+
+/**
+ * A storage adapter for persisting requests held while offline.
+ */
+export interface OutboxStorage {
+	save(outbox: Outbox): void;
+	load(): Outbox | undefined | PromiseLike<Outbox | undefined>;
+}
+
+/**
+ * Reconnection settings.
+ */
+export interface ReconnectOptions {
+	retries?: number;
+	delay?: number;
+	factor?: number;
+	maxDelay?: number;
+}
+
+/**
+ * Settings for working offline.
+ */
+export interface OfflineOptions {
+	buffer?: string[] | ((request: any) => boolean);
+	maxAge?: number;
+	storage?: OutboxStorage;
+}
+
+/**
+ * Provides the token to authenticate requests with; passed true when the
+ * current token has been rejected and a fresh one is needed.
+ */
+export type TokenProvider =
+	(refresh: boolean) => string | null | undefined |
+		PromiseLike<string | null | undefined>;
+
+/**
+ * Authentication settings; only the 'longpoll' transport supports them.
+ */
+export interface AuthOptions {
+	token: TokenProvider;
+	header?: string;
+	scheme?: string;
+}
+
+/**
+ * Settings for batching requests.
+ */
+export interface BatchingOptions {
+	maxSize?: number;
+	maxBytes?: number;
+	delay?: number;
+	concurrency?: number;
+}
+
+/**
+ * Connection options (see connection.establish()).
+ */
+export interface ConnectOptions {
+	pollTimeout?: number;
+	reconnect?: boolean | ReconnectOptions;
+	durable?: boolean;
+	offline?: boolean | OfflineOptions;
+	invokeTimeout?: number;
+	streamCredit?: number;
+	validate?: boolean;
+	transport?: 'longpoll' | 'websocket' | 'sse';
+	codec?: boolean | Codec;
+	interceptors?: Interceptor[];
+	auth?: TokenProvider | AuthOptions;
+	debug?: boolean | {size?: number};
+	batching?: BatchingOptions;
+}
+
+/**
+ * Creates a connection to a JSRO server.
+ * @param url the url of the JSRO server
+ * @param options connection options, or the poll timeout in milliseconds
+ */
+export function connect(
+	url: string,
+	options?: ConnectOptions | number
+): Promise<Connection>;
+
+/**
+ * A handler for a custom type carried by a codec.
+ */
+export interface TypeHandler<T = any> {
+	test(value: any): boolean;
+	encode(value: T): any;
+	decode(encoded: any): T;
+}
+
+/**
+ * An extended JSON codec.
+ */
+export interface Codec {
+	readonly name: string;
+	register<T>(tag: string, handler: TypeHandler<T>): void;
+	encode(value: any): any;
+	decode(value: any): any;
+}
+
+export namespace codec {
+	const NAME: string;
+	function create(): Codec;
+}
+
+export namespace storage {
+	function localStorage(key: string, storage?: Storage): OutboxStorage;
+}
+
+export namespace errors {
+	class JsroError extends Error {
+		constructor(message: string);
+	}
+	class ConnectionLostError extends JsroError {
+		constructor(message: string, cause?: any);
+		cause?: any;
+	}
+	class RemoteObjectDestroyedError extends JsroError {
+	}
+	class RemoteInvocationError extends JsroError {
+		constructor(error: any);
+		remoteName?: string;
+		remoteStack?: string;
+		code?: any;
+	}
+	class ProtocolError extends JsroError {
+	}
+	class TimeoutError extends JsroError {
+		constructor(message: string, timeout?: number);
+		timeout?: number;
+	}
+	class CancellationError extends JsroError {
+	}
+	class ValidationError extends JsroError {
+		constructor(message: string, method?: string);
+		method?: string;
+	}
+	class RequestFailedError extends JsroError {
+		constructor(message: string, cause?: any);
+		cause?: any;
+	}
+}
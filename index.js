@@ -0,0 +1,33 @@
+'use strict';
+
+// create a context for operating within Node.js
+var nodeContext = require('./nodeContext.js').create();
+
+// going to need connection module
+var connection = require('./connection.js');
+
+/**
+ * Creates a connection to a JSRO server.
+ * @param url the url of the JSRO server
+ * @param [options] connection options (see connection.establish()), or the
+ * poll timeout in milliseconds
+ * @returns {promise} a promise for a connection to the JSRO server
+ */
+module.exports.connect = function(url, options) {
+	return connection.establish(url, nodeContext, options);
+};
+
+/**
+ * The error types raised by the JSRO library.
+ */
+module.exports.errors = require('./errors.js');
+
+/**
+ * Storage adapters for persisting requests held while offline.
+ */
+module.exports.storage = require('./storage.js');
+
+/**
+ * The extended JSON codec, for carrying values plain JSON can't.
+ */
+module.exports.codec = require('./codec.js');
@@ -0,0 +1,222 @@
+'use strict';
+
+var util = require('./util.js');
+
+/**
+ * The hooks an interceptor may have.
+ */
+var HOOKS = ['http', 'request', 'batch', 'message', 'error'];
+
+/**
+ * Creates a new interceptor pipeline.
+ * @param [interceptors] the interceptors to start the pipeline with
+ * @returns {Interceptors}
+ */
+module.exports.create = function(interceptors) {
+	return new Interceptors(interceptors);
+};
+
+/**
+ * A pipeline of interceptors, letting applications inject behavior around a
+ * connection's traffic. An interceptor is an object with any of the
+ * following hooks, which are run in the order the interceptors were added:
+ *
+ * - http(request, next): wraps each HTTP request, described by an object with
+ *   its 'method', 'url', 'data' and 'headers' (which may be modified); the
+ *   hook calls next() with the request to perform it (possibly more than
+ *   once, e.g. to retry) and returns a promise for the response body
+ * - request(req): is passed each request, with its request ID, before it is
+ *   sent (again, if it has to be resent)
+ * - batch(batch): is passed each batch of requests before it is sent
+ * - message(message): is passed each message received before it is
+ *   dispatched; returning null drops the message
+ * - error(error): is told when the connection is lost, or when a batch of
+ *   requests fails (with a RequestFailedError) while others are sent
+ *   concurrently, which costs only the batch's requests
+ *
+ * The request, batch and message hooks may return a replacement for what
+ * they're passed; if they return undefined, it's used as is.
+ * @param [interceptors] the interceptors to start the pipeline with
+ * @constructor
+ */
+function Interceptors(interceptors) {
+	var self = this;
+
+	/**
+	 * Adds an interceptor to the end of the pipeline.
+	 * @param interceptor the interceptor
+	 * @returns {Function} a function which removes the interceptor again
+	 */
+	self.add = function(interceptor) {
+		if (typeof interceptor !== 'object' || interceptor === null) {
+			throw new Error('"interceptor" not an object');
+		}
+		Object.keys(interceptor).forEach(function(hook) {
+			if (HOOKS.indexOf(hook) < 0) {
+				throw new Error('unknown interceptor hook: ' + hook);
+			}
+			if (!(interceptor[hook] instanceof Function)) {
+				throw new Error('interceptor hook not a function: ' + hook);
+			}
+		});
+
+		// copy the list so pipelines already running aren't affected
+		interceptors = interceptors.concat([interceptor]);
+
+		return function() {
+			interceptors = interceptors.filter(function(i) {
+				return i !== interceptor;
+			});
+		};
+	};
+
+	/**
+	 * Runs a request through the pipeline.
+	 * @param req the request
+	 * @returns {Object} the request to send
+	 */
+	self.request = function(req) {
+		return transform('request', req);
+	};
+
+	/**
+	 * Runs a batch of requests through the pipeline.
+	 * @param batch the batch of requests
+	 * @returns {Array} the batch to send
+	 */
+	self.batch = function(batch) {
+		return transform('batch', batch);
+	};
+
+	/**
+	 * Runs a received message through the pipeline.
+	 * @param message the message
+	 * @returns {Object} the message to dispatch, or null to drop it
+	 */
+	self.message = function(message) {
+		return transform('message', message);
+	};
+
+	/**
+	 * Tells the pipeline of an error.
+	 * @param error the error
+	 */
+	self.error = function(error) {
+		interceptors.forEach(function(interceptor) {
+			if (interceptor.error) {
+				interceptor.error(error);
+			}
+		});
+	};
+
+	/**
+	 * Wraps a context so that its HTTP requests run through the pipeline.
+	 * Everything else the context has, including what it inherits, is
+	 * inherited by the wrapped context.
+	 * @param context a functionality context allowing the JSRO library to
+	 * operate in whatever environment it is deployed in
+	 * @returns {Object} the wrapped context
+	 */
+	self.wrap = function(context) {
+		var wrapped = Object.create(context);
+
+		/**
+		 * Performs an HTTP request, running it through the http hooks of the
+		 * pipeline.
+		 * @param method the request method, e.g. 'GET', 'POST', etc.
+		 * @param url the url of the JSRO server
+		 * @param [data] optional data to send with the request
+		 * @param [headers] optional additional request headers indexed by
+		 * name
+		 * @returns {promise} a promise for the request result; the promise
+		 * will also have a function property, 'abort' which will cause
+		 * the request to be aborted
+		 */
+		wrapped.request = function(method, url, data, headers) {
+			var chain = interceptors.filter(function(interceptor) {
+				return !!interceptor.http;
+			});
+			if (!chain.length) {
+				return context.request(method, url, data, headers);
+			}
+
+			// the request currently being performed, if any
+			var current;
+			var aborted = false;
+
+			// runs the request through the rest of the chain
+			function next(index, request) {
+				var deferred = context.defer();
+				if (aborted) {
+					var error = new Error('request aborted');
+					error.aborted = true;
+					deferred.reject(error);
+				} else if (index === chain.length) {
+					current = context.request(
+						request.method,
+						request.url,
+						request.data,
+						request.headers);
+					deferred.resolve(current);
+				} else {
+					try {
+						deferred.resolve(chain[index].http(
+							request,
+							function(nextRequest) {
+								return next(index + 1, nextRequest || request);
+							}));
+					} catch (e) {
+						deferred.reject(e);
+					}
+				}
+				return deferred.promise;
+			}
+
+			var requestPromise = next(0, {
+				method: method,
+				url: url,
+				data: data,
+				headers: util.copy(headers)
+			});
+
+			// add an abort function to the request promise
+			requestPromise.abort = function() {
+				aborted = true;
+				if (current) {
+					current.abort();
+				}
+			};
+
+			return requestPromise;
+		};
+
+		return wrapped;
+	};
+
+	/**
+	 * Runs a value through one of the hooks of the pipeline.
+	 * @param hook the name of the hook
+	 * @param value the value
+	 * @returns {*} the value returned by the last hook, or null if a hook
+	 * returned null
+	 */
+	function transform(hook, value) {
+		var current = interceptors;
+		for (var i = 0; i < current.length && value !== null; i++) {
+			if (current[i][hook]) {
+				var result = current[i][hook](value);
+				if (result !== undefined) {
+					value = result;
+				}
+			}
+		}
+		return value;
+	}
+
+	// start with the provided interceptors
+	var initial = interceptors || [];
+	interceptors = [];
+	initial.forEach(self.add);
+
+	return this;
+}
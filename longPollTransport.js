@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Creates a new long poll transport, which receives messages by long polling
+ * the server and sends batches of requests with POST requests.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @returns {LongPollTransport} a new active transport
+ */
+module.exports.create = function(url,
+								 context,
+								 connectionID,
+								 options,
+								 onMessages,
+								 onLoss,
+								 onAlive,
+								 latestID) {
+	return new LongPollTransport(
+		url,
+		context,
+		connectionID,
+		options,
+		onMessages,
+		onLoss,
+		onAlive,
+		latestID);
+};
+
+/**
+ * A transport which long polls for messages and POSTs requests.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @constructor
+ */
+function LongPollTransport(url,
+						   context,
+						   connectionID,
+						   options,
+						   onMessages,
+						   onLoss,
+						   onAlive,
+						   latestID) {
+	var self = this;
+
+	// a poller to long poll for messages from server
+	var poller = require('./poller.js').create(
+		url,
+		context,
+		connectionID,
+		options.pollTimeout,
+		onMessages,
+		onLoss,
+		function(timedOut) {
+			if (options.stats) {
+				options.stats.poll(timedOut);
+			}
+			// a poll that timed out tells us nothing about the server
+			if (!timedOut) {
+				onAlive();
+			}
+		},
+		latestID);
+
+	/**
+	 * The name of this kind of transport.
+	 */
+	self.name = 'longpoll';
+
+	/**
+	 * Sends a batch of requests to the server.
+	 * @param requests the requests to send
+	 * @returns {promise} a promise which resolves once the server has accepted
+	 * the requests; the promise will also have an 'abort' function property
+	 */
+	self.send = function(requests) {
+		return context.request('POST', url + connectionID, requests);
+	};
+
+	/**
+	 * Stops this transport. No more messages will be received.
+	 */
+	self.stop = poller.stop;
+
+	/**
+	 * Gets the ID of the latest message received by this transport.
+	 * @returns {number} the latest message ID, or -1 if no messages have been
+	 * received
+	 */
+	self.getLatestID = poller.getLatestID;
+
+	return this;
+}
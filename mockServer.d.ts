@@ -0,0 +1,85 @@
+// Type definitions for jsro-client/mockServer.js, the in-process mock JSRO
+// server for tests. Maintained by hand alongside mockServer.js.
+
+import {Codec, Connection, ConnectOptions} from './index';
+
+/**
+ * The object implementing a remote object on the mock server; each function
+ * property is a remote method.
+ */
+export interface Implementation {
+	[member: string]: any;
+}
+
+/**
+ * A remote object instance on the mock server.
+ */
+export interface MockInstance {
+	readonly id: number;
+	readonly name: string;
+	readonly implementation: Implementation;
+	readonly properties: {[name: string]: {value: any; writable: boolean}};
+	readonly subscriptions: {[event: string]: any[] | null};
+	readonly released: 'destroy' | 'detach' | 'end' | undefined;
+	fire(event: string, ...args: any[]): void;
+	property(name: string, value: any, writable?: boolean): void;
+	create(name: string, spec?: any): MockInstance;
+}
+
+/**
+ * A fault to inject into requests to an endpoint of the mock server.
+ */
+export interface Fault {
+	drop?: boolean;
+	status?: number;
+	error?: any;
+	delay?: number;
+}
+
+/**
+ * An HTTP request received by the mock server.
+ */
+export interface ReceivedRequest {
+	method: string;
+	url: string;
+	data?: any;
+	headers: {[name: string]: string};
+}
+
+/**
+ * An in-process JSRO server for tests.
+ */
+export interface MockServer {
+	readonly url: string;
+	readonly requests: ReceivedRequest[];
+	readonly context: any;
+	factory(
+		name: string,
+		create: (spec: any, instance: MockInstance) => Implementation
+	): void;
+	offer(
+		name: string,
+		lookup: (key: any, instance: MockInstance) => Implementation | undefined
+	): void;
+	connect(options?: ConnectOptions | number): Promise<Connection>;
+	instances(name?: string): MockInstance[];
+	fault(
+		endpoint: 'establish' | 'poll' | 'post' | 'delete',
+		fault: Fault,
+		times?: number
+	): void;
+	clearFaults(): void;
+	endSessions(): void;
+	now(): number;
+	tick(ms: number): Promise<void>;
+	flush(): Promise<void>;
+}
+
+/**
+ * Creates a new mock JSRO server.
+ */
+export function create(options?: {
+	url?: string;
+	codec?: Codec;
+	matches?: (filter: any, event: string, args: any[]) => boolean;
+}): MockServer;
@@ -0,0 +1,1052 @@
+'use strict';
+
+var util = require('./util.js');
+
+/**
+ * Creates a new mock JSRO server, which runs in process and speaks the long
+ * polling protocol through a functionality context of its own, so code using
+ * the JSRO library can be unit tested without a real server:
+ *
+ *     var server = require('jsro-client/mockServer.js').create();
+ *     server.factory('Counter', function(spec, instance) {
+ *         var count = spec.start;
+ *         return {
+ *             increment: function() {
+ *                 instance.fire('change', ++count);
+ *                 return count;
+ *             }
+ *         };
+ *     });
+ *     server.connect().then(function(connection) {
+ *         return connection.create('Counter', {start: 1});
+ *     });
+ *
+ * Timers set through the server's context run on a fake clock, which only
+ * moves when the test calls tick(). Like a real server, the mock server only
+ * sends the events of an instance that the client listens to.
+ * @param [options] an object with any of the following properties: 'url'
+ * (the url the server answers on; defaults to 'mock://jsro/'), 'codec' (a
+ * codec the server accepts if the client offers it) and 'matches' (a
+ * function which is passed a filter the client subscribed to an event with,
+ * the event name and its arguments, and returns whether the event passes the
+ * filter; by default, every event passes)
+ * @returns {MockServer}
+ */
+module.exports.create = function(options) {
+	return new MockServer(options);
+};
+
+/**
+ * The endpoints faults may be injected into.
+ */
+var ENDPOINTS = ['establish', 'poll', 'post', 'delete'];
+
+/**
+ * An in-process JSRO server for tests. It keeps sessions, message queues and
+ * remote object instances in memory, and implements the endpoints a
+ * connection uses: establishing a session (GET on the server url), polling
+ * for messages (GET on the session url, acknowledging the ID of the latest
+ * message received), sending batches of requests (POST) and ending the
+ * session (DELETE).
+ * @param [options] the server options (see create())
+ * @constructor
+ */
+function MockServer(options) {
+	var self = this;
+	options = options || {};
+
+	// the url we answer on
+	var baseUrl = options.url || 'mock://jsro/';
+
+	// registered factories and named objects, indexed by name
+	var factories = {};
+	var offers = {};
+
+	// live sessions indexed by connection ID
+	var sessions = {};
+	var nextConnectionID = 1;
+
+	// faults waiting to be injected
+	var faults = [];
+
+	// the fake clock
+	var now = 0;
+	var timers = [];
+	var nextTimerID = 0;
+
+	/**
+	 * The url the server answers on.
+	 */
+	self.url = baseUrl;
+
+	/**
+	 * Every HTTP request the server has received, oldest first, each an object
+	 * with its 'method', 'url', 'data' and 'headers'.
+	 */
+	self.requests = [];
+
+	/**
+	 * A functionality context connecting the JSRO library to this server.
+	 */
+	self.context = {
+		/**
+		 * Performs an HTTP request against the server.
+		 * @param method the request method, e.g. 'GET', 'POST', etc.
+		 * @param url the url of the JSRO server
+		 * @param [data] optional data to send with the request
+		 * @param [headers] optional additional request headers indexed by
+		 * name
+		 * @returns {promise} a promise for the request result; the promise
+		 * will also have a function property, 'abort' which will cause
+		 * the request to be aborted
+		 */
+		request: function(method, url, data, headers) {
+			return request(method, url, data, headers);
+		},
+
+		/**
+		 * Schedules a function to be called once the fake clock has moved on
+		 * by the specified delay.
+		 * @param fn the callback function
+		 * @param delay the delay in milliseconds
+		 * @returns {*} a token which can be passed to clearTimeout()
+		 * to cancel the timeout
+		 */
+		setTimeout: function(fn, delay) {
+			var timer = {
+				id: nextTimerID++,
+				time: now + Math.max(0, Number(delay) || 0),
+				fn: fn
+			};
+			timers.push(timer);
+			return timer.id;
+		},
+
+		/**
+		 * Cancels a previously scheduled timeout.
+		 * @param token a token provided by a call to setTimeout()
+		 */
+		clearTimeout: function(token) {
+			timers = timers.filter(function(timer) {
+				return timer.id !== token;
+			});
+		},
+
+		/**
+		 * Gets the time on the fake clock.
+		 * @returns {number} the number of milliseconds the clock has moved on
+		 */
+		now: function() {
+			return now;
+		},
+
+		/**
+		 * Creates and returns a deferred promise object.
+		 */
+		defer: defer
+	};
+
+	/**
+	 * Registers a factory, from which clients may create remote objects.
+	 * @param name the name of the factory
+	 * @param create a function which is passed the creation spec and the
+	 * MockInstance being created, and returns the object implementing it;
+	 * each function property of the implementation is a remote method, which
+	 * may return a promise; a method with a 'params' or 'oneWay' property is
+	 * described to clients with them; a method invoked in streaming mode
+	 * returns an array (or a promise for one) of the chunks to stream
+	 */
+	self.factory = function(name, create) {
+		if (!(create instanceof Function)) {
+			throw new Error('"create" not a function');
+		}
+		factories[name] = create;
+	};
+
+	/**
+	 * Offers existing objects under a name, which clients may get.
+	 * @param name the name under which the objects are offered
+	 * @param lookup a function which is passed the key the client asked for
+	 * and the MockInstance being attached to, and returns the object
+	 * implementing it (see factory()), or undefined if there is no such
+	 * object
+	 */
+	self.offer = function(name, lookup) {
+		if (!(lookup instanceof Function)) {
+			throw new Error('"lookup" not a function');
+		}
+		offers[name] = lookup;
+	};
+
+	/**
+	 * Connects to this server.
+	 * @param [connectOptions] connection options (see connection.establish())
+	 * @returns {promise} a promise for the connection
+	 */
+	self.connect = function(connectOptions) {
+		return require('./connection.js').establish(
+			baseUrl,
+			self.context,
+			connectOptions);
+	};
+
+	/**
+	 * Gets the live instances of remote objects.
+	 * @param [name] the name of the factory or offer to get the instances of;
+	 * if not provided, all instances are returned
+	 * @returns {Array} the MockInstances, in order of creation
+	 */
+	self.instances = function(name) {
+		var found = [];
+		Object.keys(sessions).forEach(function(connectionID) {
+			var instances = sessions[connectionID].instances;
+			Object.keys(instances).forEach(function(instanceID) {
+				var instance = instances[instanceID];
+				if (name === undefined || instance.name === name) {
+					found.push(instance);
+				}
+			});
+		});
+		return found.sort(function(a, b) {
+			return a.serial - b.serial;
+		});
+	};
+
+	/**
+	 * Injects a fault into the next requests to an endpoint.
+	 * @param endpoint the endpoint: 'establish', 'poll', 'post' or 'delete'
+	 * @param fault an object describing the fault: 'drop' set to true to
+	 * leave requests unanswered (and unprocessed) until they're aborted,
+	 * 'status' to fail requests with an HTTP status (a 404 for a poll or
+	 * post tells the client its session is gone), 'error' to fail requests
+	 * with an error, or 'delay' to answer requests after the number of
+	 * milliseconds of the fake clock
+	 * @param [times] the number of requests the fault applies to; defaults to
+	 * 1, use Infinity until cleared
+	 */
+	self.fault = function(endpoint, fault, times) {
+		if (ENDPOINTS.indexOf(endpoint) < 0) {
+			throw new Error('unknown endpoint: ' + endpoint);
+		}
+		faults.push({
+			endpoint: endpoint,
+			fault: fault,
+			times: times === undefined ? 1 : times
+		});
+	};
+
+	/**
+	 * Clears all faults waiting to be injected.
+	 */
+	self.clearFaults = function() {
+		faults = [];
+	};
+
+	/**
+	 * Forgets all sessions, as a restarted server would. Pending polls fail
+	 * with a 404, as does anything else sent to the old sessions.
+	 */
+	self.endSessions = function() {
+		var ended = sessions;
+		sessions = {};
+		Object.keys(ended).forEach(function(connectionID) {
+			endSession(ended[connectionID]);
+		});
+	};
+
+	/**
+	 * Gets the time on the fake clock.
+	 * @returns {number} the number of milliseconds the clock has moved on
+	 */
+	self.now = function() {
+		return now;
+	};
+
+	/**
+	 * Moves the fake clock on, running the timers that come due in order and
+	 * letting the promise callbacks they cause run in between.
+	 * @param ms the number of milliseconds to move the clock on by
+	 * @returns {promise} a promise which resolves once the clock has moved on
+	 */
+	self.tick = function(ms) {
+		var target = now + Math.max(0, Number(ms) || 0);
+
+		function step() {
+			return self.flush().then(function() {
+				var due;
+				timers.forEach(function(timer) {
+					if (timer.time <= target &&
+						(!due || timer.time < due.time)) {
+						due = timer;
+					}
+				});
+				if (!due) {
+					now = target;
+					return;
+				}
+				timers.splice(timers.indexOf(due), 1);
+				now = due.time;
+				due.fn();
+				return step();
+			});
+		}
+
+		return step();
+	};
+
+	/**
+	 * Lets pending promise callbacks run, e.g. so that requests sent and
+	 * messages pushed have been handled before a test checks the results.
+	 * @returns {promise} a promise which resolves once they have run
+	 */
+	self.flush = function() {
+		return new Promise(function(resolve) {
+			setTimeout(resolve, 0);
+		});
+	};
+
+	/**
+	 * Performs an HTTP request against the server.
+	 * @param method the request method
+	 * @param url the url requested
+	 * @param [data] the data sent with the request
+	 * @param [headers] the request headers
+	 * @returns {promise} an abortable promise for the response body
+	 */
+	function request(method, url, data, headers) {
+		var deferred = defer();
+		var requestPromise = deferred.promise;
+		var answered = false;
+		var onAbort;
+
+		function answer(fn, value) {
+			if (!answered) {
+				answered = true;
+				fn(wire(value));
+			}
+		}
+
+		requestPromise.abort = function() {
+			if (onAbort) {
+				onAbort();
+			}
+			var error = new Error('request aborted');
+			error.aborted = true;
+			answer(deferred.reject, error);
+		};
+
+		self.requests.push({
+			method: method,
+			url: url,
+			data: wire(data),
+			headers: wire(headers || {})
+		});
+
+		// work out which endpoint is being requested
+		var path = url.split('?')[0];
+		var segments = path.indexOf(baseUrl) === 0 ?
+			path.slice(baseUrl.length).split('/') :
+			undefined;
+		var endpoint;
+		if (segments && method === 'GET') {
+			endpoint = segments[0] ? 'poll' : 'establish';
+		} else if (segments && segments[0] && method === 'POST') {
+			endpoint = 'post';
+		} else if (segments && segments[0] && method === 'DELETE') {
+			endpoint = 'delete';
+		} else {
+			deferred.reject(util.statusError(404));
+			return requestPromise;
+		}
+
+		// inject a fault, if one is waiting
+		var fault = takeFault(endpoint);
+		if (fault.drop) {
+			return requestPromise;
+		}
+		if (fault.status !== undefined || fault.error !== undefined) {
+			respond(function() {
+				answer(
+					deferred.reject,
+					fault.error !== undefined ?
+						fault.error :
+						util.statusError(fault.status));
+			});
+			return requestPromise;
+		}
+
+		// handle the request
+		var result;
+		try {
+			if (endpoint === 'establish') {
+				result = establish(url);
+			} else {
+				var session = sessions[segments[0]];
+				if (!session) {
+					throw util.statusError(404);
+				}
+				if (endpoint === 'poll') {
+					result = poll(session, segments[1], function(abort) {
+						onAbort = abort;
+					});
+				} else if (endpoint === 'post') {
+					result = post(session, data);
+				} else {
+					delete sessions[session.connectionID];
+					endSession(session);
+					result = {};
+				}
+			}
+		} catch (e) {
+			result = Promise.reject(e);
+		}
+		Promise.resolve(result).then(function(value) {
+			respond(function() {
+				answer(deferred.resolve, value);
+			});
+		}, function(error) {
+			respond(function() {
+				answer(deferred.reject, error);
+			});
+		});
+		return requestPromise;
+
+		// responds now, or later if the fault says so
+		function respond(fn) {
+			if (fault.delay) {
+				self.context.setTimeout(fn, fault.delay);
+			} else {
+				fn();
+			}
+		}
+	}
+
+	/**
+	 * Takes the fault to inject into a request, if any.
+	 * @param endpoint the endpoint requested
+	 * @returns {Object} the fault, or an empty object if there is none
+	 */
+	function takeFault(endpoint) {
+		for (var i = 0; i < faults.length; i++) {
+			if (faults[i].endpoint === endpoint) {
+				var fault = faults[i].fault;
+				if (--faults[i].times <= 0) {
+					faults.splice(i, 1);
+				}
+				return fault;
+			}
+		}
+		return {};
+	}
+
+	/**
+	 * Establishes a new session.
+	 * @param url the url requested, which may offer a codec
+	 * @returns {Object} the response, with the 'connectionID' of the session
+	 * and the 'codec' accepted, if any
+	 */
+	function establish(url) {
+		var offered = /[?&]codec=([^&]*)/.exec(url);
+		var codec = offered && options.codec &&
+			decodeURIComponent(offered[1]) === options.codec.name ?
+			options.codec :
+			undefined;
+
+		var session = {
+			connectionID: 'c' + nextConnectionID++,
+			codec: codec,
+			messages: [],
+			nextMessageID: 0,
+			waiting: [],
+			instances: {},
+			nextInstanceID: 1,
+			calls: {},
+			nextCallID: 0
+		};
+		sessions[session.connectionID] = session;
+
+		return {
+			connectionID: session.connectionID,
+			codec: codec ? codec.name : undefined,
+			subscriptions: true
+		};
+	}
+
+	/**
+	 * Polls a session for messages. Messages up to the one acknowledged are
+	 * discarded; if none are left, the poll waits for the next one.
+	 * @param session the session
+	 * @param [ack] the ID of the latest message the client has received
+	 * @param setAbort a function to pass a function to which is invoked if
+	 * the poll is aborted
+	 * @returns {Array|promise} the messages, or a promise for them
+	 */
+	function poll(session, ack, setAbort) {
+		ack = ack === undefined ? -1 : Number(ack);
+		session.messages = session.messages.filter(function(message) {
+			return message.id > ack;
+		});
+		if (session.messages.length) {
+			return session.messages.slice();
+		}
+
+		var deferred = defer();
+		session.waiting.push(deferred);
+		setAbort(function() {
+			session.waiting = session.waiting.filter(function(waiting) {
+				return waiting !== deferred;
+			});
+		});
+		return deferred.promise;
+	}
+
+	/**
+	 * Handles a batch of requests sent to a session.
+	 * @param session the session
+	 * @param batch the requests
+	 * @returns {Object} the response
+	 */
+	function post(session, batch) {
+		if (!Array.isArray(batch)) {
+			throw util.statusError(400);
+		}
+		wire(batch).forEach(function(req) {
+			if (session.codec) {
+				req = session.codec.decode(req);
+			}
+			handleRequest(session, req);
+		});
+		return {};
+	}
+
+	/**
+	 * Handles a request sent to a session, pushing its result, if it has
+	 * one, once it's ready.
+	 * @param session the session
+	 * @param req the request
+	 */
+	function handleRequest(session, req) {
+		var instance = session.instances[req.instanceID];
+		var result;
+		try {
+			switch (req.action) {
+				case 'create':
+					if (!factories[req.name]) {
+						throw new Error('unknown factory: ' + req.name);
+					}
+					result = describe(
+						session,
+						build(session, req.name, req.spec));
+					break;
+				case 'get':
+					if (!offers[req.name]) {
+						throw new Error('nothing offered as: ' + req.name);
+					}
+					result = describe(session, register(
+						session,
+						req.name,
+						function(instance) {
+							return offers[req.name](req.key, instance);
+						}));
+					break;
+				case 'invoke':
+					result = invoke(session, instance, req);
+					break;
+				case 'set':
+					if (!instance) {
+						throw new Error('unknown instance: ' + req.instanceID);
+					}
+					instance.setProperty(req.property, req.value);
+					break;
+				case 'destroy':
+				case 'detach':
+					if (instance) {
+						delete session.instances[req.instanceID];
+						instance.released = req.action;
+					}
+					break;
+				case 'subscribe':
+				case 'unsubscribe':
+					if (!instance) {
+						throw new Error('unknown instance: ' + req.instanceID);
+					}
+					if (req.action === 'subscribe') {
+						instance.subscriptions[req.event] = req.filters || null;
+					} else {
+						delete instance.subscriptions[req.event];
+					}
+					break;
+				case 'callback':
+					settleCall(session, req);
+					break;
+				case 'cancel':
+				case 'credit':
+					break;
+				default:
+					throw new Error('unknown action: ' + req.action);
+			}
+		} catch (e) {
+			result = Promise.reject(e);
+		}
+
+		if (req.oneWay) {
+			// nothing comes back from one-way invocations
+			Promise.resolve(result).then(undefined, function() {});
+			return;
+		}
+		Promise.resolve(result).then(function(value) {
+			var response = value || {};
+			response.requestID = req.requestID;
+			push(session, response);
+		}, function(error) {
+			push(session, {
+				requestID: req.requestID,
+				error: serializeError(error)
+			});
+		});
+	}
+
+	/**
+	 * Creates an instance of a remote object in a session from a factory.
+	 * @param session the session
+	 * @param name the name of the factory
+	 * @param spec the creation spec
+	 * @returns {MockInstance} the new instance
+	 */
+	function build(session, name, spec) {
+		if (!factories[name]) {
+			throw new Error('unknown factory: ' + name);
+		}
+		return register(session, name, function(instance) {
+			return factories[name](spec, instance);
+		});
+	}
+
+	/**
+	 * Creates an instance of a remote object in a session.
+	 * @param session the session
+	 * @param name the name of the factory or offer
+	 * @param implement a function which is passed the new MockInstance and
+	 * returns the object implementing it
+	 * @returns {MockInstance} the new instance
+	 */
+	function register(session, name, implement) {
+		var instance = new MockInstance(
+			session.nextInstanceID++,
+			name,
+			options.matches,
+			function(message) {
+				if (instance.released === undefined &&
+					session.instances[instance.id] === instance) {
+					push(session, message);
+				}
+			},
+			function(factoryName, spec) {
+				return build(session, factoryName, spec);
+			});
+		instance.implementation = implement(instance);
+		if (typeof instance.implementation !== 'object' ||
+			instance.implementation === null) {
+			throw new Error('no such object: ' + name);
+		}
+		session.instances[instance.id] = instance;
+		return instance;
+	}
+
+	/**
+	 * Describes an instance to the client, which from then on is told when
+	 * its properties change.
+	 * @param session the session
+	 * @param instance the instance
+	 * @returns {Object} the 'instanceID', 'methods' and 'properties' of the
+	 * instance
+	 */
+	function describe(session, instance) {
+		instance.announced = true;
+		return {
+			instanceID: instance.id,
+			methods: describeMethods(instance.implementation),
+			properties: marshal(session, instance.properties)
+		};
+	}
+
+	/**
+	 * Invokes a method of an instance.
+	 * @param session the session
+	 * @param instance the instance
+	 * @param req the invocation request
+	 * @returns {*} the response, or a promise for it
+	 */
+	function invoke(session, instance, req) {
+		if (!instance) {
+			throw new Error('unknown instance: ' + req.instanceID);
+		}
+		var method = instance.implementation[req.method];
+		if (!(method instanceof Function)) {
+			throw new Error('unknown method: ' + req.method);
+		}
+		var args = unmarshal(session, req.args || []);
+		var result = Promise.resolve(
+			method.apply(instance.implementation, args));
+
+		if (req.stream) {
+			// stream the chunks once the invocation has been accepted
+			result.then(function(chunks) {
+				(chunks || []).forEach(function(chunk) {
+					push(session, {
+						stream: req.requestID,
+						chunk: marshal(session, chunk)
+					});
+				});
+				push(session, {stream: req.requestID, end: true});
+			}, function(error) {
+				push(session, {
+					stream: req.requestID,
+					error: serializeError(error)
+				});
+			});
+			return {};
+		}
+
+		return result.then(function(value) {
+			return {result: marshal(session, value)};
+		});
+	}
+
+	/**
+	 * Settles a call the server made to a function passed to a method.
+	 * @param session the session
+	 * @param req the request with the 'callID' of the call and its 'result'
+	 * or 'error'
+	 */
+	function settleCall(session, req) {
+		var call = session.calls[req.callID];
+		if (!call) {
+			throw new Error('unknown call: ' + req.callID);
+		}
+		delete session.calls[req.callID];
+		if (req.error !== undefined) {
+			var error = new Error(req.error && req.error.message);
+			error.name = req.error && req.error.name || 'Error';
+			call.reject(error);
+		} else {
+			call.resolve(unmarshal(session, req.result));
+		}
+	}
+
+	/**
+	 * Replaces references in values received from a client with the
+	 * MockInstances and functions they refer to.
+	 * @param session the session the values were received in
+	 * @param value the value
+	 * @returns {*} the value with references replaced
+	 */
+	function unmarshal(session, value) {
+		if (Array.isArray(value)) {
+			return value.map(function(item) {
+				return unmarshal(session, item);
+			});
+		}
+		if (!util.isPlainObject(value)) {
+			return value;
+		}
+		if (value.$instance !== undefined) {
+			var instance = session.instances[value.$instance];
+			if (!instance) {
+				throw new Error('unknown instance: ' + value.$instance);
+			}
+			return instance;
+		}
+		if (value.$callback !== undefined) {
+			var callbackID = value.$callback;
+			return function() {
+				var call = defer();
+				var callID = session.nextCallID++;
+				session.calls[callID] = call;
+				push(session, {
+					callback: callbackID,
+					callID: callID,
+					args: Array.prototype.slice.call(arguments)
+				});
+				return call.promise;
+			};
+		}
+		var unmarshalled = {};
+		Object.keys(value).forEach(function(key) {
+			unmarshalled[key] = unmarshal(session, value[key]);
+		});
+		return unmarshalled;
+	}
+
+	/**
+	 * Replaces MockInstances in values sent to a client with references.
+	 * @param session the session the values are sent in
+	 * @param value the value
+	 * @returns {*} the value with MockInstances replaced
+	 */
+	function marshal(session, value) {
+		if (value instanceof MockInstance) {
+			if (session.instances[value.id] !== value) {
+				throw new Error('instance belongs to another session');
+			}
+			var description = describe(session, value);
+			return {
+				$instance: description.instanceID,
+				methods: description.methods,
+				properties: description.properties
+			};
+		}
+		if (Array.isArray(value)) {
+			return value.map(function(item) {
+				return marshal(session, item);
+			});
+		}
+		if (!util.isPlainObject(value)) {
+			return value;
+		}
+		var marshalled = {};
+		Object.keys(value).forEach(function(key) {
+			marshalled[key] = marshal(session, value[key]);
+		});
+		return marshalled;
+	}
+
+	/**
+	 * Pushes a message to a session, answering a waiting poll.
+	 * @param session the session
+	 * @param message the message
+	 */
+	function push(session, message) {
+		if (message.value !== undefined) {
+			message.value = marshal(session, message.value);
+		}
+		if (message.args !== undefined) {
+			message.args = marshal(session, message.args);
+		}
+		session.messages.push({
+			id: session.nextMessageID++,
+			message: session.codec ? session.codec.encode(message) : message
+		});
+		var waiting = session.waiting;
+		session.waiting = [];
+		waiting.forEach(function(deferred) {
+			deferred.resolve(session.messages.slice());
+		});
+	}
+
+	/**
+	 * Ends a session, failing its waiting polls.
+	 * @param session the session
+	 */
+	function endSession(session) {
+		var waiting = session.waiting;
+		session.waiting = [];
+		waiting.forEach(function(deferred) {
+			deferred.reject(util.statusError(404));
+		});
+		Object.keys(session.instances).forEach(function(instanceID) {
+			session.instances[instanceID].released = 'end';
+		});
+	}
+
+	return this;
+}
+
+// the serial number of the next MockInstance
+var nextSerial = 0;
+
+/**
+ * An instance of a remote object on a mock server, which tests may use to
+ * fire events and change properties.
+ * @param id the instance ID
+ * @param name the name of the factory or offer the instance came from
+ * @param [matches] a function which determines whether an event passes a
+ * subscription filter (see create())
+ * @param send a function which sends a message about the instance to its
+ * session
+ * @param create a function which creates an instance in the same session
+ * from a factory (see MockInstance.create())
+ * @constructor
+ */
+function MockInstance(id, name, matches, send, create) {
+	var self = this;
+
+	/**
+	 * The instance ID.
+	 */
+	self.id = id;
+
+	/**
+	 * The name of the factory or offer the instance came from.
+	 */
+	self.name = name;
+
+	/**
+	 * The object implementing the instance.
+	 */
+	self.implementation = undefined;
+
+	/**
+	 * The properties of the instance, indexed by name, each an object with
+	 * its 'value' and whether it is 'writable'.
+	 */
+	self.properties = {};
+
+	/**
+	 * The events the client subscribes to, '*' for all of them, indexed by
+	 * name, each with the filters of the subscription, or null if it has
+	 * none.
+	 */
+	self.subscriptions = {};
+
+	/**
+	 * How the client let go of the instance, once it has: 'destroy',
+	 * 'detach' or 'end' if the session ended.
+	 */
+	self.released = undefined;
+
+	// orders instances by creation
+	self.serial = nextSerial++;
+
+	// whether the client has been told about the instance yet
+	self.announced = false;
+
+	/**
+	 * Fires an event from the instance. The event is only sent if the client
+	 * subscribes to it and it passes one of the subscription's filters.
+	 * @param event the event name
+	 * @param args... the event arguments
+	 */
+	self.fire = function(event) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		var wanted = [event, '*'].some(function(name) {
+			var filters = self.subscriptions[name];
+			if (filters === undefined) {
+				return false;
+			}
+			return !filters || !matches || filters.some(function(filter) {
+				return matches(filter, event, args);
+			});
+		});
+		if (!wanted) {
+			return;
+		}
+		send({
+			instanceID: self.id,
+			event: event,
+			args: args
+		});
+	};
+
+	/**
+	 * Defines a property of the instance, or changes its value. Changes made
+	 * once the instance has been created are pushed to the client.
+	 * @param name the property name
+	 * @param value the property value
+	 * @param [writable] whether the client may set the property; when
+	 * changing a property, defaults to what it was defined with
+	 */
+	self.property = function(name, value, writable) {
+		var property = self.properties[name];
+		self.properties[name] = {
+			value: value,
+			writable: writable !== undefined ?
+				!!writable :
+				!!(property && property.writable)
+		};
+		if (self.announced) {
+			send({instanceID: self.id, property: name, value: value});
+		}
+	};
+
+	/**
+	 * Creates another instance in the same session from a factory, e.g. for a
+	 * remote method to return. The client is told about the instance once it
+	 * is returned to it.
+	 * @param name the name of the factory
+	 * @param [spec] the creation spec
+	 * @returns {MockInstance} the new instance
+	 */
+	self.create = function(name, spec) {
+		return create(name, spec);
+	};
+
+	/**
+	 * Sets a property on behalf of the client.
+	 * @param name the property name
+	 * @param value the property value
+	 */
+	self.setProperty = function(name, value) {
+		var property = self.properties[name];
+		if (!property || !property.writable) {
+			throw new Error('property not writable: ' + name);
+		}
+		property.value = value;
+	};
+
+	return this;
+}
+
+/**
+ * Describes the methods of the object implementing an instance.
+ * @param implementation the object
+ * @returns {Array} the method names, or descriptors for methods with 'params'
+ * or 'oneWay' properties
+ */
+function describeMethods(implementation) {
+	return Object.keys(implementation).filter(function(name) {
+		return implementation[name] instanceof Function;
+	}).map(function(name) {
+		var method = implementation[name];
+		if (method.params === undefined && method.oneWay === undefined) {
+			return name;
+		}
+		return {
+			name: name,
+			params: method.params,
+			oneWay: !!method.oneWay
+		};
+	});
+}
+
+/**
+ * Creates and returns a deferred promise object.
+ * @returns {Object} the deferred, with its 'promise' and 'resolve' and
+ * 'reject' functions
+ */
+function defer() {
+	var deferred = {};
+	deferred.promise = new Promise(function(resolve, reject) {
+		deferred.resolve = resolve;
+		deferred.reject = reject;
+	});
+	return deferred;
+}
+
+/**
+ * Copies a value as it would arrive over the wire, as JSON.
+ * @param value the value
+ * @returns {*} the copy
+ */
+function wire(value) {
+	if (value === undefined || value instanceof Error) {
+		return value;
+	}
+	return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Serializes an error raised by a remote method.
+ * @param error the error
+ * @returns {Object} an object with the error's 'name', 'message' and 'code'
+ */
+function serializeError(error) {
+	if (typeof error !== 'object' || error === null) {
+		return {name: 'Error', message: String(error)};
+	}
+	return {
+		name: error.name,
+		message: error.message,
+		code: error.code
+	};
+}
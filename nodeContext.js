@@ -0,0 +1,155 @@
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var parseUrl = require('url').parse;
+var util = require('./util.js');
+
+/**
+ * Creates a functionality context for operating within Node.js, using the
+ * http and https modules and native promises.
+ * @param [agent] an optional http.Agent (or https.Agent) to use for requests
+ * @returns {Context}
+ */
+module.exports.create = function(agent) {
+	return new Context(agent);
+};
+
+/**
+ * A functionality context for operating within Node.js.
+ * @param [agent] an optional agent to use for requests
+ * @constructor
+ */
+function Context(agent) {
+	/**
+	 * Performs an HTTP request.
+	 * @param method the request method, e.g. 'GET', 'POST', etc.
+	 * @param url the url of the JSRO server
+	 * @param [data] optional data to send with the request
+	 * @param [headers] optional additional request headers indexed by name
+	 * @returns {promise} a promise for the request result; the promise
+	 * will also have a function property, 'abort' which will cause
+	 * the request to be aborted
+	 */
+	this.request = function(method, url, data, headers) {
+		// configure the request
+		var options = parseUrl(url);
+		options.method = method;
+		options.headers = {Accept: 'application/json'};
+		if (agent) {
+			options.agent = agent;
+		}
+		var body;
+		if (data) {
+			body = Buffer.from(JSON.stringify(data), 'utf8');
+			options.headers['Content-Type'] = 'application/json';
+			options.headers['Content-Length'] = body.length;
+		}
+		Object.keys(headers || {}).forEach(function(name) {
+			options.headers[name] = headers[name];
+		});
+
+		var transport = options.protocol === 'https:' ? https : http;
+		var request;
+		var rejectRequest;
+		var aborted = false;
+
+		// perform the request
+		var requestPromise = new Promise(function(resolve, reject) {
+			rejectRequest = reject;
+			request = transport.request(options, function(response) {
+				var chunks = [];
+				response.on('data', function(chunk) {
+					chunks.push(chunk);
+				});
+				response.on('end', function() {
+					if (aborted) {
+						return;
+					}
+					var text = Buffer.concat(chunks).toString('utf8');
+					if (response.statusCode < 200 ||
+						response.statusCode >= 300) {
+						reject(util.statusError(response.statusCode, text));
+						return;
+					}
+					try {
+						resolve(text ? JSON.parse(text) : undefined);
+					} catch (e) {
+						reject(e);
+					}
+				});
+				response.on('error', reject);
+			});
+			request.on('error', reject);
+			request.end(body);
+		});
+
+		// add an abort function to the request promise
+		requestPromise.abort = function() {
+			if (!aborted) {
+				aborted = true;
+				request.destroy();
+				rejectRequest(util.abortError());
+			}
+		};
+
+		return requestPromise;
+	};
+
+	/**
+	 * Opens a WebSocket.
+	 * @param url the url of the socket, using the ws: or wss: scheme
+	 * @returns {WebSocket} a new socket, or undefined if this version of
+	 * Node.js has no WebSocket support
+	 */
+	this.openWebSocket = function(url) {
+		return typeof global.WebSocket === 'function' ?
+			new global.WebSocket(url) :
+			undefined;
+	};
+
+	/**
+	 * Opens an EventSource.
+	 * @param url the url of the event stream
+	 * @returns {EventSource} a new event source, or undefined if this version
+	 * of Node.js has no EventSource support
+	 */
+	this.openEventSource = function(url) {
+		return typeof global.EventSource === 'function' ?
+			new global.EventSource(url) :
+			undefined;
+	};
+
+	/**
+	 * Schedules a function to be called after the specified delay.
+	 * @param fn the callback function
+	 * @param delay the delay in milliseconds
+	 * @returns {*} a token which can be passed to clearTimeout()
+	 * to cancel the timeout
+	 */
+	this.setTimeout = function(fn, delay) {
+		return setTimeout(fn, delay);
+	};
+
+	/**
+	 * Cancels a previously scheduled timeout.
+	 * @param token a token provided by a call to setTimeout()
+	 */
+	this.clearTimeout = function(token) {
+		clearTimeout(token);
+	};
+
+	/**
+	 * Creates and returns a deferred promise object.
+	 */
+	this.defer = function() {
+		var deferred = {};
+		deferred.promise = new Promise(function(resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		return deferred;
+	};
+
+	return this;
+}
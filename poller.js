@@ -1,5 +1,7 @@
 'use strict';
 
+var errors = require('./errors.js');
+
 /**
  * Creates a new poller that will long poll the server for message for the
  * identified connection.
@@ -12,6 +14,11 @@
  * new poll request will be issued
  * @param onPoll a callback to invoke with polled messages
  * @param onLoss a callback to invoke if the poll fails
+ * @param [onCycle] a callback to invoke each time a poll request completes
+ * without failing, whether or not it delivered messages; it is passed true
+ * if the poll request timed out
+ * @param [latestID] the ID of the latest message already received, if
+ * resuming polling where a previous poller left off
  * @returns {Poller} a new active Poller instance
  */
 module.exports.create = function(url,
@@ -19,8 +26,18 @@ module.exports.create = function(url,
 								 connectionID,
 								 pollTimeout,
 								 onPoll,
-								 onLoss) {
-	return new Poller(url, context, connectionID, pollTimeout, onPoll, onLoss);
+								 onLoss,
+								 onCycle,
+								 latestID) {
+	return new Poller(
+		url,
+		context,
+		connectionID,
+		pollTimeout,
+		onPoll,
+		onLoss,
+		onCycle,
+		latestID);
 };
 
 /**
@@ -35,9 +52,21 @@ module.exports.create = function(url,
  * new poll request will be issued
  * @param onPoll a callback to invoke with polled messages
  * @param onLoss a callback to invoke if the poll fails
+ * @param [onCycle] a callback to invoke each time a poll request completes
+ * without failing, whether or not it delivered messages; it is passed true
+ * if the poll request timed out
+ * @param [latestID] the ID of the latest message already received, if
+ * resuming polling where a previous poller left off
  * @constructor
  */
-function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
+function Poller(url,
+				context,
+				connectionID,
+				pollTimeout,
+				onPoll,
+				onLoss,
+				onCycle,
+				latestID) {
 	var self = this;
 
 	// make sure poll timeout is legit
@@ -56,7 +85,9 @@ function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
 	var curPollID = 0;
 
 	// keep track of the latest seen id so we can acknowledge it
-	var latestID = -1;
+	if (typeof latestID !== 'number') {
+		latestID = -1;
+	}
 
 	// keep track of when we are stopped
 	var stopped = false;
@@ -74,6 +105,15 @@ function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
 		}
 	};
 
+	/**
+	 * Gets the ID of the latest message received by this poller.
+	 * @returns {number} the latest message ID, or -1 if no messages have been
+	 * received
+	 */
+	self.getLatestID = function() {
+		return latestID;
+	};
+
 	/**
 	 * Long polls the server for the next message or messages.
 	 */
@@ -110,6 +150,12 @@ function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
 				return;
 			}
 
+			if (!Array.isArray(messages)) {
+				onLoss(new errors.ProtocolError(
+					'invalid poll response; expected array of messages'));
+				return;
+			}
+
 			// filter out messages we've already received
 			messages = messages.filter(function(message) {
 				return message.id > latestID;
@@ -125,6 +171,11 @@ function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
 				}));
 			}
 
+			// let the client know the poll cycle completed
+			if (onCycle && !stopped) {
+				onCycle(false);
+			}
+
 			// rinse and repeat
 			poll();
 		}, function(error) {
@@ -152,6 +203,9 @@ function Poller(url, context, connectionID, pollTimeout, onPoll, onLoss) {
 		// abort the current poll request and issue another one
 		pendingRequest.abort();
 		pendingRequest = undefined;
+		if (onCycle) {
+			onCycle(true);
+		}
 		poll();
 	}
 
@@ -1,61 +1,229 @@
 'use strict';
 
+var errors = require('./errors.js');
+
+/**
+ * Events remote objects fire on their own, which the server knows nothing
+ * about; so do 'change:<name>' events for property changes.
+ */
+var LOCAL_EVENTS = ['loss', 'destroy', 'detach', 'restored'];
+
 /**
  * Creates a new remote object instance.
- * @param methods the names of available methods
- * @param invoke a function that will be used to invoke remote methods
- * @param onDestroy a function to invoke when the object is destroyed
+ * @param methods the descriptors of available methods, each an object with
+ * the method's 'name' and whatever else the server describes about it
+ * @param invoke a function that will be used to invoke remote methods; it
+ * receives the method name, the arguments and the invocation options
+ * @param onDestroy a function to invoke when the object is destroyed; it
+ * receives the error describing the loss of the object, if it was lost, and
+ * whether it was merely detached
  * @param control an object to attach control functions to, allowing the
  * creator to have internal control over this remote object not available to
  * other clients
+ * @param [properties] the properties the remote object has, indexed by name;
+ * each an object with the current 'value' and whether it is 'writable'
+ * @param [update] a function that will be used to update writable properties;
+ * it receives the property name and the new value and returns a promise
+ * @param [subscribe] a function that will be used to tell the server which
+ * events are listened to; it receives the event name, whether there are
+ * listeners for it and their filters (undefined if any listener has none)
  * @returns {RemoteObject}
  */
-module.exports.create = function(methods, invoke, onDestroy, control) {
-	return new RemoteObject(methods, invoke, onDestroy, control);
+module.exports.create = function(methods,
+								 invoke,
+								 onDestroy,
+								 control,
+								 properties,
+								 update,
+								 subscribe) {
+	return new RemoteObject(
+		methods,
+		invoke,
+		onDestroy,
+		control,
+		properties,
+		update,
+		subscribe);
+};
+
+/**
+ * Determines whether a value is a remote object instance.
+ * @param value the value
+ * @returns {boolean} true if the value is a remote object
+ */
+module.exports.isRemoteObject = function(value) {
+	return value instanceof RemoteObject;
 };
 
 /**
  * An instance of a remote object.
- * @param methods the names of available methods
- * @param invoke a function that will be used to invoke remote methods
- * @param onDestroy a function to invoke when this object is destroyed
+ * @param methods the descriptors of available methods, each an object with
+ * the method's 'name' and whatever else the server describes about it
+ * @param invoke a function that will be used to invoke remote methods; it
+ * receives the method name, the arguments and the invocation options
+ * @param onDestroy a function to invoke when this object is destroyed; it
+ * receives the error describing the loss of this object, if it was lost, and
+ * whether it was merely detached
  * @param control an object to attach control functions to, allowing the
  * creator to have internal control over this remote object not available to
  * other clients
+ * @param [properties] the properties this object has, indexed by name; each
+ * an object with the current 'value' and whether it is 'writable'
+ * @param [update] a function that will be used to update writable properties;
+ * it receives the property name and the new value and returns a promise
+ * @param [subscribe] a function that will be used to tell the server which
+ * events are listened to; it receives the event name, whether there are
+ * listeners for it and their filters (undefined if any listener has none)
  * @returns {RemoteObject}
  * @constructor
  */
-function RemoteObject(methods, invoke, onDestroy, control) {
+function RemoteObject(methods,
+					  invoke,
+					  onDestroy,
+					  control,
+					  properties,
+					  update,
+					  subscribe) {
 	var self = this;
 
 	var destroyed = false;
 
+	// cached property values indexed by property name
+	var values = {};
+
 	// add provided methods
-	methods.forEach(function(method) {
+	methods.forEach(function(descriptor) {
+		var method = descriptor.name;
 		self[method] = function() {
 			// invoke via provided invoke function
 			var args = Array.prototype.slice.call(arguments, 0);
-			return invoke(method, args);
+			return invoke(method, args, {});
+		};
+
+		/**
+		 * Creates a version of this method that is invoked with the provided
+		 * invocation options.
+		 * @param callOptions invocation options, e.g. 'timeout', the number of
+		 * milliseconds to wait for the invocation to complete, or 'stream' to
+		 * invoke it in streaming mode (see stream()) with 'credit', the number
+		 * of chunks the server may send ahead of the consumer, 'priority'
+		 * ('high', 'normal' or 'low') to send it ahead of or behind other
+		 * requests waiting to be sent, or 'ordered' set to false to let it
+		 * overtake earlier invocations of this object's methods
+		 * @returns {Function} a function which invokes this method
+		 */
+		self[method].withOptions = function(callOptions) {
+			return function() {
+				var args = Array.prototype.slice.call(arguments, 0);
+				return invoke(method, args, callOptions || {});
+			};
+		};
+
+		/**
+		 * Invokes this method in streaming mode. The server sends the results
+		 * in chunks, as the consumer is ready for them.
+		 * @returns {ResultStream} a stream of the results, which may be
+		 * consumed as an async iterator
+		 */
+		self[method].stream = function() {
+			var args = Array.prototype.slice.call(arguments, 0);
+			return invoke(method, args, {stream: true});
 		};
 	});
 
-	// add event triggers
-	var trigger = require('trigger-maker').create();
+	// add events, letting the server know which of its events we listen to
+	var events = require('./events.js').create(function(event) {
+		if (subscribe && !destroyed && isServerEvent(event)) {
+			subscribe(event, events.listening(event), events.filters(event));
+		}
+	});
+
+	// add provided properties
+	Object.keys(properties || {}).forEach(function(name) {
+		values[name] = properties[name].value;
+
+		var descriptor = {
+			enumerable: true,
+			get: function() {
+				return values[name];
+			}
+		};
+		if (properties[name].writable) {
+			descriptor.set = function(value) {
+				if (destroyed) {
+					throw new errors.RemoteObjectDestroyedError(
+						'remote object already destroyed');
+				}
+
+				// assume the update will succeed, but undo it if it doesn't
+				var previous = values[name];
+				var updated = update(name, value);
+				changeProperty(name, value);
+				updated.then(undefined, function() {
+					if (!destroyed && values[name] === value) {
+						changeProperty(name, previous);
+					}
+				});
+			};
+		}
+		Object.defineProperty(self, name, descriptor);
+	});
+
+	/**
+	 * Registers a listener for a type of event. The server is told which of
+	 * its events are listened to, so those nobody listens to aren't sent.
+	 * @param {string} event the event type, e.g. 'change:<name>' to be told
+	 * of changes to a property along with its new and previous value, or '*'
+	 * to be told of every event with its type followed by its arguments
+	 * @param {Function} fn the function to invoke to handle the event
+	 * @param [filter] parameters for the server to filter the events by,
+	 * e.g. only sending those concerning a particular item; the server sends
+	 * an event if it passes the filter of any of its listeners, so listeners
+	 * may also be invoked for events passing another listener's filter
+	 */
+	self.on = events.on;
 
 	/**
-	 * Registers a listener for a type of event.
-	 * @param {string} event the event type
+	 * Registers a listener for the next event of a type only.
+	 * @param {string} event the event type, or '*' for any event
 	 * @param {Function} fn the function to invoke to handle the event
+	 * @param [filter] parameters for the server to filter the events by
 	 */
-	self.on = trigger.on;
+	self.once = events.once;
 
 	/**
 	 * Unregisters one or all listeners for an event.
-	 * @param event the event to unregister for ('loss' or 'disconnect')
+	 * @param event the event to unregister for
 	 * @param [fn] if provided, the listener function to unregister; if not
 	 * provided, all listeners will be unregistered
 	 */
-	self.off = trigger.off;
+	self.off = events.off;
+
+	/**
+	 * Describes this remote object, as far as the server has described it.
+	 * @returns {Object} an object with the descriptors of the 'methods' (each
+	 * with the method's 'name' and, if the server provided them, the 'params'
+	 * it takes, whether it is 'oneWay' and its 'doc') and the 'properties'
+	 * (indexed by name, each with whether it is 'writable')
+	 */
+	self.describe = function() {
+		var description = {methods: [], properties: {}};
+		methods.forEach(function(descriptor) {
+			var copy = {};
+			Object.keys(descriptor).forEach(function(key) {
+				if (descriptor[key] !== undefined) {
+					copy[key] = descriptor[key];
+				}
+			});
+			description.methods.push(copy);
+		});
+		Object.keys(properties || {}).forEach(function(name) {
+			description.properties[name] = {
+				writable: !!properties[name].writable
+			};
+		});
+		return description;
+	};
 
 	/**
 	 * Causes this remote object to be destroyed. Following invocation of this
@@ -63,23 +231,75 @@ function RemoteObject(methods, invoke, onDestroy, control) {
 	 */
 	self.destroy = function() {
 		if (destroyed) {
-			throw new Error('already destroyed');
+			throw new errors.RemoteObjectDestroyedError('already destroyed');
 		}
 		destroyed = true;
 		onDestroy();
-		trigger.fire('destroy');
+		events.fire('destroy');
 	};
 
+	/**
+	 * Detaches from this remote object, leaving it alive on the server for
+	 * other clients. Following invocation of this method, no events will be
+	 * received and method invocation will fail.
+	 */
+	self.detach = function() {
+		if (destroyed) {
+			throw new errors.RemoteObjectDestroyedError('already destroyed');
+		}
+		destroyed = true;
+		onDestroy(undefined, true);
+		events.fire('detach');
+	};
+
+	/**
+	 * Changes the cached value of a property, firing a 'change:<name>' event
+	 * with the new and the previous value if it is different.
+	 * @param name the name of the property
+	 * @param value the new value
+	 */
+	function changeProperty(name, value) {
+		var previous = values[name];
+		if (previous !== value) {
+			values[name] = value;
+			events.fire('change:' + name, value, previous);
+		}
+	}
+
 	// add fire function to control object
-	control.fire = trigger.fire;
+	control.fire = events.fire;
+
+	// add a function to control object listing the events the server should
+	// send, each with the event name and the filters of its listeners
+	control.subscriptions = function() {
+		return events.names().filter(isServerEvent).map(function(event) {
+			return {event: event, filters: events.filters(event)};
+		});
+	};
+
+	// add property change handler to control object
+	control.onPropertyChange = function(name, value) {
+		if (Object.prototype.hasOwnProperty.call(values, name)) {
+			changeProperty(name, value);
+		}
+	};
 
 	// add loss handler to control object
-	control.onLoss = function() {
+	control.onLoss = function(error) {
 		destroyed = true;
-		trigger.fire('loss');
-		onDestroy();
-		trigger.fire('destroy');
+		events.fire('loss', error);
+		onDestroy(error);
+		events.fire('destroy');
 	};
 
 	return this;
 }
+
+/**
+ * Determines whether an event is one the server fires.
+ * @param event the event name
+ * @returns {boolean} true unless the remote object fires the event on its own
+ */
+function isServerEvent(event) {
+	return LOCAL_EVENTS.indexOf(event) < 0 && event.indexOf('change:') !== 0;
+}
@@ -1,24 +1,71 @@
 'use strict';
 
+var errors = require('./errors.js');
+var util = require('./util.js');
+
+/**
+ * The priorities requests may have, highest first.
+ */
+var PRIORITIES = ['high', 'normal', 'low'];
+module.exports.PRIORITIES = PRIORITIES;
+
+/**
+ * Measures the number of bytes a value takes when sent as JSON.
+ * @param value the value
+ * @returns {number} the length of the value's JSON encoded as UTF-8
+ */
+function measureJSON(value) {
+	var json = JSON.stringify(value);
+	var bytes = 0;
+	for (var i = 0; i < json.length; i++) {
+		var code = json.charCodeAt(i);
+		if (code < 0x80) {
+			bytes += 1;
+		} else if (code < 0x800) {
+			bytes += 2;
+		} else if (code >= 0xd800 && code < 0xdc00 &&
+			json.charCodeAt(i + 1) >= 0xdc00 &&
+			json.charCodeAt(i + 1) < 0xe000) {
+			// a surrogate pair encodes a single code point
+			bytes += 4;
+			i++;
+		} else {
+			bytes += 3;
+		}
+	}
+	return bytes;
+}
+module.exports.measureJSON = measureJSON;
+
 /**
  * Creates and returns a new request queue instance.
  * @param context a functionality context allowing the JSRO library to operate
  * in whatever environment it is deployed in
+ * @param [limits] limits on the batches taken with next() (see RequestQueue)
  * @returns {RequestQueue}
  */
-module.exports.create = function(context) {
-	return new RequestQueue(context);
+module.exports.create = function(context, limits) {
+	return new RequestQueue(context, limits);
 };
 
 /**
- * Manages a queue of pending requests and their results.
+ * Manages a queue of pending requests and their results. The ages of queued
+ * requests are measured with the context's 'now' function, if it has one,
+ * so they follow whatever clock the context keeps.
  * @param context a functionality context allowing the JSRO library to operate
  * in whatever environment it is deployed in
+ * @param [limits] an object with any of the following properties limiting
+ * the batches taken with next(): 'maxSize' (the most requests in a batch),
+ * 'maxBytes' (the most bytes in a batch, although a batch always has at least
+ * one request) and 'measure' (a function which returns the number of bytes a
+ * request takes; by default, the length of its JSON in UTF-8)
  * @returns {RequestQueue}
  * @constructor
  */
-function RequestQueue(context) {
+function RequestQueue(context, limits) {
 	var self = this;
+	limits = limits || {};
+	var measure = limits.measure || measureJSON;
 
 	// ID to use for the next request
 	var nextRequestID = 0;
@@ -29,26 +76,48 @@ function RequestQueue(context) {
 	// deferred request results by request ID
 	var deferredResults = [];
 
+	// times requests were added by request ID
+	var addedTimes = [];
+
+	// how requests are to be sent by request ID
+	var settings = [];
+
+	// requests taken from the queue which are waiting on results by request
+	// ID, in case they need to be sent again
+	var taken = [];
+
 	/**
 	 * Adds a request to the queue. The provided object will have a requestID
 	 * property added and will be placed in the queue as-is.
-	 * @param request the request to add to this queue
-	 * @returns {promise}
+	 * @param request the request to add to this queue; if its 'oneWay'
+	 * property is true, no result is expected for it
+	 * @param [sendOptions] an object with either of the following properties:
+	 * 'priority' ('high', 'normal' or 'low'; defaults to 'normal') and
+	 * 'ordered' (false to let the request overtake earlier requests to the
+	 * same remote object; defaults to true)
+	 * @returns {promise} a promise for the result of the request, or
+	 * undefined for a one-way request
 	 */
-	self.add = function(request) {
-		// create request ID and deferred result for this request
-		var deferredResult = context.defer();
+	self.add = function(request, sendOptions) {
 		var requestID = nextRequestID++;
 
 		// add request ID to request
 		request.requestID = requestID;
-
-		// index deferred result
-		deferredResults[requestID] = deferredResult;
+		addedTimes[requestID] = util.now(context);
+		settings[requestID] = normalizeSettings(sendOptions);
 
 		// queue up the request
 		requestQueue.push(request);
 
+		if (request.oneWay) {
+			// nothing to wait for
+			return undefined;
+		}
+
+		// create and index a deferred result for this request
+		var deferredResult = context.defer();
+		deferredResults[requestID] = deferredResult;
+
 		// return the promise for the result
 		return deferredResult.promise;
 	};
@@ -61,9 +130,259 @@ function RequestQueue(context) {
 	self.drain = function() {
 		var requests = requestQueue;
 		requestQueue = [];
+		forgetOneWay(requests);
+		rememberTaken(requests);
 		return requests;
 	};
 
+	/**
+	 * Takes the next batch of requests from this queue, highest priority
+	 * first and as many as the limits allow. A request only goes ahead of
+	 * earlier requests to other remote objects; earlier requests to the same
+	 * remote object go along with it, and none are taken while requests to
+	 * the same remote object are still on their way, so each remote object
+	 * receives its requests in the order they were added. Requests that
+	 * aren't ordered are exempt from all this.
+	 * @param [inFlight] requests taken earlier which are still on their way
+	 * @returns {Array} the requests taken from this queue
+	 */
+	self.next = function(inFlight) {
+		// requests to remote objects with requests on their way must wait
+		var busy = {};
+		(inFlight || []).forEach(function(request) {
+			var key = orderKey(request);
+			if (key !== undefined) {
+				busy[key] = true;
+			}
+		});
+
+		// put the requests in the order they should be sent
+		var ordered = [];
+		var taken = {};
+		function take(request) {
+			taken[request.requestID] = true;
+			ordered.push(request);
+		}
+		PRIORITIES.forEach(function(priority) {
+			requestQueue.forEach(function(request, index) {
+				var key = orderKey(request);
+				if (taken[request.requestID] || busy[key] ||
+					settingsOf(request).priority !== priority) {
+					return;
+				}
+				if (key !== undefined) {
+					requestQueue.slice(0, index).forEach(function(earlier) {
+						if (!taken[earlier.requestID] &&
+							orderKey(earlier) === key) {
+							take(earlier);
+						}
+					});
+				}
+				take(request);
+			});
+		});
+
+		// and take as many as fit in a batch
+		var batch = [];
+		var bytes = 0;
+		for (var i = 0; i < ordered.length; i++) {
+			if (limits.maxSize > 0 && batch.length >= limits.maxSize) {
+				break;
+			}
+			if (limits.maxBytes > 0) {
+				bytes += measure(ordered[i]);
+				if (batch.length && bytes > limits.maxBytes) {
+					break;
+				}
+			}
+			batch.push(ordered[i]);
+		}
+
+		var inBatch = {};
+		batch.forEach(function(request) {
+			inBatch[request.requestID] = true;
+		});
+		requestQueue = requestQueue.filter(function(request) {
+			return !inBatch[request.requestID];
+		});
+		forgetOneWay(batch);
+		rememberTaken(batch);
+		return batch;
+	};
+
+	/**
+	 * Determines whether any high priority requests are queued.
+	 * @returns {boolean} true if there are high priority requests in this
+	 * queue
+	 */
+	self.urgent = function() {
+		return requestQueue.some(function(request) {
+			return settingsOf(request).priority === 'high';
+		});
+	};
+
+	/**
+	 * Gets the requests in this queue without draining them.
+	 * @returns {Array} the requests that are in this queue
+	 */
+	self.queued = function() {
+		return requestQueue.slice();
+	};
+
+	/**
+	 * Gets the number of requests, whether queued or already drained, which
+	 * are waiting on results.
+	 * @returns {number} the number of requests waiting on results
+	 */
+	self.pending = function() {
+		return Object.keys(deferredResults).length;
+	};
+
+	/**
+	 * Puts requests that were previously drained back at the front of this
+	 * queue, e.g. because sending them failed and they should be sent again.
+	 * The requests will keep their existing request IDs.
+	 * @param requests the requests to put back in this queue
+	 */
+	self.requeue = function(requests) {
+		requestQueue = requests.concat(requestQueue);
+		requests.forEach(function(request) {
+			delete taken[request.requestID];
+			if (addedTimes[request.requestID] === undefined) {
+				addedTimes[request.requestID] = util.now(context);
+			}
+			if (settings[request.requestID] === undefined) {
+				settings[request.requestID] = normalizeSettings();
+			}
+		});
+	};
+
+	/**
+	 * Puts requests that were previously drained and are still waiting on
+	 * results back at the front of this queue, e.g. because they may never
+	 * have reached the server.
+	 * @param requestIDs the IDs of the requests to put back in this queue;
+	 * those no longer waiting on results are ignored
+	 */
+	self.resend = function(requestIDs) {
+		self.requeue(requestIDs.filter(function(requestID) {
+			return taken[requestID] !== undefined;
+		}).map(function(requestID) {
+			return taken[requestID];
+		}));
+	};
+
+	/**
+	 * Cancels a request, rejecting its deferred result with the provided
+	 * error. If the request has not yet been drained from this queue, it is
+	 * removed so it will never be sent.
+	 * @param requestID the ID of the request to cancel
+	 * @param error the error to reject the request's result with
+	 * @returns {boolean} true if the request was still queued, false if it
+	 * has already been drained
+	 */
+	self.cancel = function(requestID, error) {
+		var queued = requestQueue.some(function(request) {
+			return request.requestID === requestID;
+		});
+		if (queued) {
+			requestQueue = requestQueue.filter(function(request) {
+				return request.requestID !== requestID;
+			});
+		}
+
+		var deferredResult = deferredResults[requestID];
+		if (deferredResult) {
+			forget(requestID);
+			deferredResult.reject(error);
+		}
+
+		return queued;
+	};
+
+	/**
+	 * Removes queued requests for which the provided function returns false,
+	 * rejecting their deferred results with the provided error. The function
+	 * may also update the requests it keeps before they are sent.
+	 * @param fn the function to invoke with each queued request
+	 * @param error the error to reject the results of removed requests with
+	 */
+	self.filter = function(fn, error) {
+		var removed = [];
+		requestQueue = requestQueue.filter(function(request) {
+			var keep = fn(request);
+			if (!keep) {
+				removed.push(request);
+			}
+			return keep;
+		});
+		removed.forEach(function(request) {
+			self.cancel(request.requestID, error);
+		});
+	};
+
+	/**
+	 * Removes queued requests that were added the provided number of
+	 * milliseconds ago or earlier, rejecting their deferred results with the
+	 * provided error.
+	 * @param maxAge the age at which a queued request expires, in milliseconds
+	 * @param error the error to reject the results of removed requests with
+	 */
+	self.expire = function(maxAge, error) {
+		var oldest = util.now(context) - maxAge;
+		self.filter(function(request) {
+			return addedTimes[request.requestID] > oldest;
+		}, error);
+	};
+
+	/**
+	 * Gets the time at which the queued request that has been waiting the
+	 * longest was added.
+	 * @returns {number} the time in milliseconds, or undefined if there are
+	 * no queued requests
+	 */
+	self.oldest = function() {
+		return requestQueue.reduce(function(oldest, request) {
+			var added = addedTimes[request.requestID];
+			return oldest === undefined || added < oldest ? added : oldest;
+		}, undefined);
+	};
+
+	/**
+	 * Rejects the deferred results of requests that have been drained from
+	 * this queue but have not yet received results.
+	 * @param error the error to reject the results with
+	 */
+	self.rejectDrained = function(error) {
+		var queued = {};
+		requestQueue.forEach(function(request) {
+			queued[request.requestID] = true;
+		});
+		deferredResults.forEach(function(deferredResult, requestID) {
+			if (!queued[requestID]) {
+				forget(requestID);
+				deferredResult.reject(error);
+			}
+		});
+	};
+
+	/**
+	 * Rejects the deferred results of all requests, whether queued or already
+	 * drained, and empties this queue.
+	 * @param error the error to reject the results with
+	 */
+	self.rejectAll = function(error) {
+		var pending = deferredResults;
+		requestQueue = [];
+		deferredResults = [];
+		addedTimes = [];
+		settings = [];
+		taken = [];
+		pending.forEach(function(deferredResult) {
+			deferredResult.reject(error);
+		});
+	};
+
 	/**
 	 * Handles the result of a request by resolving (or rejecting) the
 	 * deferred result returned when the corresponding request was added to this
@@ -79,16 +398,98 @@ function RequestQueue(context) {
 		var deferredResult = deferredResults[requestID];
 
 		if (deferredResult) {
+			// the request may have been put back to be sent again, but the
+			// server has already seen it
+			requestQueue = requestQueue.filter(function(request) {
+				return request.requestID !== requestID;
+			});
+
 			if (result.error) {
 				// reject the deferred result with the error
-				deferredResult.reject(result.error);
+				deferredResult.reject(
+					new errors.RemoteInvocationError(result.error));
 			} else {
 				// resolve the deferred result with the result
 				deferredResult.resolve(result);
 			}
-			delete deferredResults[requestID];
+			forget(requestID);
 		}
 	};
 
+	/**
+	 * Gets how a request is to be sent.
+	 * @param request the request
+	 * @returns {Object} the request's settings, with its 'priority' and
+	 * whether it is 'ordered'
+	 */
+	function settingsOf(request) {
+		return settings[request.requestID] || normalizeSettings();
+	}
+
+	/**
+	 * Gets the key by which a request is ordered with other requests.
+	 * @param request the request
+	 * @returns {*} the ID of the remote object instance the request is for,
+	 * or undefined if the request is for none or isn't ordered
+	 */
+	function orderKey(request) {
+		return settingsOf(request).ordered ? request.instanceID : undefined;
+	}
+
+	/**
+	 * Remembers requests that have been taken from this queue and are waiting
+	 * on results.
+	 * @param requests the requests taken
+	 */
+	function rememberTaken(requests) {
+		requests.forEach(function(request) {
+			if (deferredResults[request.requestID]) {
+				taken[request.requestID] = request;
+			}
+		});
+	}
+
+	/**
+	 * Forgets everything about a request which is no longer waiting on its
+	 * result.
+	 * @param requestID the ID of the request
+	 */
+	function forget(requestID) {
+		delete deferredResults[requestID];
+		delete addedTimes[requestID];
+		delete settings[requestID];
+		delete taken[requestID];
+	}
+
+	/**
+	 * Forgets one-way requests that have been taken from this queue; they
+	 * are done with once they're on their way.
+	 * @param requests the requests taken
+	 */
+	function forgetOneWay(requests) {
+		requests.forEach(function(request) {
+			if (request.oneWay) {
+				delete addedTimes[request.requestID];
+				delete settings[request.requestID];
+			}
+		});
+	}
+
 	return this;
 }
+
+/**
+ * Normalizes the options a request was added with.
+ * @param [sendOptions] the options (see RequestQueue.add())
+ * @returns {Object} the request's settings, with its 'priority' and whether
+ * it is 'ordered'
+ */
+function normalizeSettings(sendOptions) {
+	sendOptions = sendOptions || {};
+	return {
+		priority: PRIORITIES.indexOf(sendOptions.priority) >= 0 ?
+			sendOptions.priority :
+			'normal',
+		ordered: sendOptions.ordered !== false
+	};
+}
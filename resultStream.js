@@ -0,0 +1,190 @@
+'use strict';
+
+var errors = require('./errors.js');
+
+/**
+ * Creates a new stream of results from a streaming remote method invocation.
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param credit the number of chunks the server may send ahead of the
+ * consumer
+ * @param onCredit a function to invoke with the number of chunks consumed
+ * since it was last invoked, granting the server that much more credit
+ * @param onCancel a function to invoke when the consumer stops iterating
+ * before the stream has ended
+ * @param control an object to attach control functions to, allowing the
+ * creator to feed this stream
+ * @returns {ResultStream}
+ */
+module.exports.create = function(context, credit, onCredit, onCancel, control) {
+	return new ResultStream(context, credit, onCredit, onCancel, control);
+};
+
+/**
+ * A stream of results, consumed as an async iterator: next() returns a
+ * promise for the next {value, done} pair. Where the environment supports
+ * async iteration, the stream may be consumed with for await...of, and
+ * breaking out of the loop cancels the invocation.
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param credit the number of chunks the server may send ahead of the
+ * consumer
+ * @param onCredit a function to invoke with the number of chunks consumed
+ * since it was last invoked, granting the server that much more credit
+ * @param onCancel a function to invoke when the consumer stops iterating
+ * before the stream has ended
+ * @param control an object to attach control functions to, allowing the
+ * creator to feed this stream
+ * @returns {ResultStream}
+ * @constructor
+ */
+function ResultStream(context, credit, onCredit, onCancel, control) {
+	var self = this;
+
+	// chunks received but not yet consumed
+	var buffer = [];
+
+	// deferred results of next() calls waiting for chunks
+	var waiting = [];
+
+	// chunks consumed since credit was last granted
+	var consumed = 0;
+
+	// whether the server has ended the stream (or it was cancelled), and the
+	// error it failed with, if any
+	var ended = false;
+	var error;
+
+	/**
+	 * Gets the next chunk of the stream.
+	 * @returns {promise} a promise for an object with the chunk as its 'value'
+	 * and a 'done' property which is true once the stream has ended
+	 */
+	self.next = function() {
+		var deferred = context.defer();
+		if (buffer.length) {
+			deferred.resolve({value: buffer.shift(), done: false});
+			consume();
+		} else if (error) {
+			deferred.reject(error);
+			error = undefined;
+		} else if (ended) {
+			deferred.resolve({value: undefined, done: true});
+		} else {
+			waiting.push(deferred);
+		}
+		return deferred.promise;
+	};
+
+	/**
+	 * Stops consuming the stream. If it hasn't ended, the invocation is
+	 * cancelled. Chunks not yet consumed are dropped, as is the error the
+	 * stream failed with, if any.
+	 * @returns {promise} a promise for an object with 'done' set to true
+	 */
+	self.return = function() {
+		cancel();
+		buffer = [];
+		error = undefined;
+		var deferred = context.defer();
+		deferred.resolve({value: undefined, done: true});
+		return deferred.promise;
+	};
+
+	/**
+	 * Cancels the invocation. Chunks not yet consumed are dropped and pending
+	 * next() calls are rejected with a CancellationError. Has no effect if the
+	 * stream has ended.
+	 */
+	self.abort = function() {
+		cancel(new errors.CancellationError('stream cancelled'));
+	};
+
+	// the stream is its own async iterator
+	if (global.Symbol && global.Symbol.asyncIterator) {
+		self[global.Symbol.asyncIterator] = function() {
+			return self;
+		};
+	}
+
+	/**
+	 * Takes note of a chunk having been consumed, granting the server more
+	 * credit once half of it has been used up.
+	 */
+	function consume() {
+		consumed++;
+		if (!ended && consumed >= Math.max(Math.floor(credit / 2), 1)) {
+			onCredit(consumed);
+			consumed = 0;
+		}
+	}
+
+	/**
+	 * Ends the stream on the consumer's behalf.
+	 * @param [reason] the error to reject pending next() calls with; if not
+	 * provided, they are told the stream is done
+	 */
+	function cancel(reason) {
+		if (ended) {
+			return;
+		}
+		ended = true;
+		buffer = [];
+		var waited = waiting;
+		waiting = [];
+		onCancel();
+		waited.forEach(function(deferred) {
+			if (reason) {
+				deferred.reject(reason);
+			} else {
+				deferred.resolve({value: undefined, done: true});
+			}
+		});
+	}
+
+	// add push function to control object
+	control.push = function(chunk) {
+		if (ended) {
+			return;
+		}
+		if (waiting.length) {
+			waiting.shift().resolve({value: chunk, done: false});
+			consume();
+		} else {
+			buffer.push(chunk);
+		}
+	};
+
+	// add end function to control object
+	control.end = function() {
+		if (ended) {
+			return;
+		}
+		ended = true;
+		var waited = waiting;
+		waiting = [];
+		waited.forEach(function(deferred) {
+			deferred.resolve({value: undefined, done: true});
+		});
+	};
+
+	// add fail function to control object
+	control.fail = function(failure) {
+		if (ended) {
+			return;
+		}
+		ended = true;
+		var waited = waiting;
+		waiting = [];
+		if (waited.length) {
+			waited.forEach(function(deferred) {
+				deferred.reject(failure);
+			});
+		} else {
+			// deliver it once the buffered chunks have been consumed
+			error = failure;
+		}
+	};
+
+	return this;
+}
@@ -0,0 +1,235 @@
+'use strict';
+
+var errors = require('./errors.js');
+
+/**
+ * Creates a new Server-Sent Events transport, which receives messages from an
+ * event stream and sends batches of requests with POST requests. If the
+ * context cannot open event sources, the transport falls back to long
+ * polling.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @returns {SSETransport} a new active transport
+ */
+module.exports.create = function(url,
+								 context,
+								 connectionID,
+								 options,
+								 onMessages,
+								 onLoss,
+								 onAlive,
+								 latestID) {
+	return new SSETransport(
+		url,
+		context,
+		connectionID,
+		options,
+		onMessages,
+		onLoss,
+		onAlive,
+		latestID);
+};
+
+/**
+ * A transport which receives messages from an event stream and POSTs
+ * requests.
+ *
+ * Each event sent by the server carries one message: the event's ID is the
+ * message ID and its data is the JSON encoded message. The stream is opened
+ * on the same url a poll request would use, so the server learns the latest
+ * message ID received; when the event source reconnects on its own, the
+ * server learns it from the Last-Event-ID header instead.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @constructor
+ */
+function SSETransport(url,
+					  context,
+					  connectionID,
+					  options,
+					  onMessages,
+					  onLoss,
+					  onAlive,
+					  latestID) {
+	var self = this;
+
+	// how long to let the event source try to reopen before giving up
+	var reopenTimeout = parseInt(options.pollTimeout);
+	if (!reopenTimeout || reopenTimeout <= 0) {
+		reopenTimeout = 15000;
+	}
+
+	// our event source, unless we've fallen back to long polling
+	var source;
+
+	// the long poll transport we've fallen back to, if any
+	var fallback;
+
+	// our reopen timeout token
+	var timeoutToken;
+
+	// keep track of when we are stopped
+	var stopped = false;
+
+	/**
+	 * The name of this kind of transport.
+	 */
+	self.name = 'sse';
+
+	/**
+	 * Sends a batch of requests to the server.
+	 * @param requests the requests to send
+	 * @returns {promise} a promise which resolves once the server has accepted
+	 * the requests; the promise will also have an 'abort' function property
+	 */
+	self.send = function(requests) {
+		return context.request('POST', url + connectionID, requests);
+	};
+
+	/**
+	 * Stops this transport. No more messages will be received.
+	 */
+	self.stop = function() {
+		if (stopped) {
+			return;
+		}
+		stopped = true;
+		if (fallback) {
+			fallback.stop();
+		} else {
+			context.clearTimeout(timeoutToken);
+			source.close();
+		}
+	};
+
+	/**
+	 * Gets the ID of the latest message received by this transport.
+	 * @returns {number} the latest message ID, or -1 if no messages have been
+	 * received
+	 */
+	self.getLatestID = function() {
+		return fallback ? fallback.getLatestID() : latestID;
+	};
+
+	/**
+	 * Handles the event source opening (or reopening).
+	 */
+	function onOpen() {
+		if (stopped) {
+			return;
+		}
+		context.clearTimeout(timeoutToken);
+		onAlive();
+	}
+
+	/**
+	 * Handles an event received from the server.
+	 * @param event the message event
+	 */
+	function onEvent(event) {
+		if (stopped) {
+			return;
+		}
+
+		// filter out messages we've already received
+		var id = parseInt(event.lastEventId);
+		if (isNaN(id) || id <= latestID) {
+			return;
+		}
+
+		var message;
+		try {
+			message = JSON.parse(event.data);
+		} catch (e) {
+			fail(new errors.ProtocolError('invalid event: ' + e.message));
+			return;
+		}
+
+		// we've got a new message; save latest ID
+		latestID = id;
+
+		// pass message (sans ID) to client
+		onMessages([message]);
+
+		if (!stopped) {
+			onAlive();
+		}
+	}
+
+	/**
+	 * Handles an event source error.
+	 * @param event the error event
+	 */
+	function onError(event) {
+		if (stopped) {
+			return;
+		}
+
+		var error = new Error('event stream failed');
+		error.event = event;
+		if (source.readyState === 2) {
+			// closed for good
+			fail(error);
+		} else {
+			// the event source is trying to reopen by itself; give it a while
+			context.clearTimeout(timeoutToken);
+			timeoutToken = context.setTimeout(function() {
+				fail(error);
+			}, reopenTimeout);
+		}
+	}
+
+	/**
+	 * Stops this transport and reports its failure.
+	 * @param error the error describing the failure
+	 */
+	function fail(error) {
+		self.stop();
+		onLoss(error);
+	}
+
+	// open our event source, if we can
+	var sourceUrl = url + connectionID + (latestID >= 0 ? '/' + latestID : '');
+	try {
+		source = context.openEventSource ?
+			context.openEventSource(sourceUrl) :
+			undefined;
+	} catch (e) {
+		source = undefined;
+	}
+	if (source) {
+		source.onopen = onOpen;
+		source.onmessage = onEvent;
+		source.onerror = onError;
+	} else {
+		fallback = require('./longPollTransport.js').create(
+			url,
+			context,
+			connectionID,
+			options,
+			onMessages,
+			onLoss,
+			onAlive,
+			latestID);
+		self.name = fallback.name;
+		self.send = fallback.send;
+	}
+
+	return this;
+}
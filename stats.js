@@ -0,0 +1,151 @@
+'use strict';
+
+var util = require('./util.js');
+
+/**
+ * Creates a new set of connection statistics.
+ * @param [onMetric] a function to invoke with each metric as it is recorded
+ * @returns {Stats}
+ */
+module.exports.create = function(onMetric) {
+	return new Stats(onMetric);
+};
+
+/**
+ * Statistics about a connection's traffic: invocation latencies and outcomes
+ * per method, batch sizes, poll cycles and reconnections. Each metric
+ * recorded is also passed to the provided function, as an object with its
+ * 'type' ('invocation', 'batch', 'poll', 'reconnecting' or 'reconnected')
+ * and the details recorded.
+ * @param [onMetric] a function to invoke with each metric as it is recorded
+ * @constructor
+ */
+function Stats(onMetric) {
+	var self = this;
+
+	// invocation statistics indexed by method name
+	var invocations = {};
+
+	// batches sent
+	var batches = {count: 0, requests: 0, largest: 0};
+
+	// long poll cycles completed
+	var polls = {cycles: 0, timeouts: 0};
+
+	// reconnection attempts
+	var reconnects = {attempts: 0, successes: 0};
+
+	/**
+	 * Records the completion of an invocation.
+	 * @param method the name of the method
+	 * @param latency the number of milliseconds the invocation took
+	 * @param outcome 'ok', 'error', 'timeout' or 'cancelled'
+	 */
+	self.invocation = function(method, latency, outcome) {
+		var stats = invocations[method];
+		if (!stats) {
+			stats = invocations[method] = {
+				count: 0,
+				ok: 0,
+				error: 0,
+				timeout: 0,
+				cancelled: 0,
+				totalLatency: 0,
+				minLatency: Infinity,
+				maxLatency: 0,
+				lastLatency: 0
+			};
+		}
+		stats.count++;
+		stats[outcome]++;
+		stats.totalLatency += latency;
+		stats.minLatency = Math.min(stats.minLatency, latency);
+		stats.maxLatency = Math.max(stats.maxLatency, latency);
+		stats.lastLatency = latency;
+		emit({
+			type: 'invocation',
+			method: method,
+			latency: latency,
+			outcome: outcome
+		});
+	};
+
+	/**
+	 * Records a batch of requests having been sent.
+	 * @param size the number of requests in the batch
+	 */
+	self.batch = function(size) {
+		batches.count++;
+		batches.requests += size;
+		batches.largest = Math.max(batches.largest, size);
+		emit({type: 'batch', size: size});
+	};
+
+	/**
+	 * Records a long poll cycle having completed.
+	 * @param timedOut true if the poll request timed out
+	 */
+	self.poll = function(timedOut) {
+		polls.cycles++;
+		if (timedOut) {
+			polls.timeouts++;
+		}
+		emit({type: 'poll', timedOut: !!timedOut});
+	};
+
+	/**
+	 * Records a reconnection attempt having been scheduled.
+	 * @param attempt the number of the attempt
+	 * @param delay the number of milliseconds until the attempt
+	 */
+	self.reconnecting = function(attempt, delay) {
+		reconnects.attempts++;
+		emit({type: 'reconnecting', attempt: attempt, delay: delay});
+	};
+
+	/**
+	 * Records a reconnection having succeeded.
+	 */
+	self.reconnected = function() {
+		reconnects.successes++;
+		emit({type: 'reconnected'});
+	};
+
+	/**
+	 * Gets a snapshot of the statistics.
+	 * @returns {Object} an object with the statistics of 'invocations'
+	 * (indexed by method name, each with the 'count' of invocations, how many
+	 * ended in each outcome, and their latency in milliseconds: 'minLatency',
+	 * 'maxLatency', 'averageLatency' and 'lastLatency'), 'batches' (the
+	 * 'count' sent, the number of 'requests' in them and the 'largest'),
+	 * 'polls' (the 'cycles' completed and how many 'timeouts') and
+	 * 'reconnects' (the 'attempts' made and the 'successes')
+	 */
+	self.snapshot = function() {
+		var snapshot = {
+			invocations: {},
+			batches: util.copy(batches),
+			polls: util.copy(polls),
+			reconnects: util.copy(reconnects)
+		};
+		Object.keys(invocations).forEach(function(method) {
+			var stats = util.copy(invocations[method]);
+			stats.averageLatency = stats.totalLatency / stats.count;
+			delete stats.totalLatency;
+			snapshot.invocations[method] = stats;
+		});
+		return snapshot;
+	};
+
+	/**
+	 * Passes a metric to the provided function, if any.
+	 * @param metric the metric
+	 */
+	function emit(metric) {
+		if (onMetric) {
+			onMetric(metric);
+		}
+	}
+
+	return this;
+}
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Creates a storage adapter which persists requests held while a connection
+ * is down in Web Storage, so they can be sent by a later connection if the
+ * page is reloaded. Any object with the same 'save' and 'load' functions may
+ * be used instead, e.g. one backed by IndexedDB; 'load' may return a promise.
+ * @param key the key under which to store held requests
+ * @param [storage] the Web Storage object to use; defaults to localStorage
+ * @returns {{save: Function, load: Function}} a new storage adapter
+ */
+module.exports.localStorage = function(key, storage) {
+	storage = storage || global.localStorage;
+
+	return {
+		/**
+		 * Saves held requests, replacing any previously saved.
+		 * @param outbox an object with the remote 'objects' the requests are
+		 * for, each with the request to 'obtain' it again and the
+		 * 'invocations' of it
+		 */
+		save: function(outbox) {
+			if (outbox.objects.length) {
+				storage.setItem(key, JSON.stringify(outbox));
+			} else {
+				storage.removeItem(key);
+			}
+		},
+
+		/**
+		 * Loads previously saved requests.
+		 * @returns {Object} the saved outbox, or undefined if there is none
+		 */
+		load: function() {
+			var saved = storage.getItem(key);
+			return saved ? JSON.parse(saved) : undefined;
+		}
+	};
+};
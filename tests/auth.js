@@ -0,0 +1,135 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fixture = require('./helpers/fixture.js');
+
+describe('authentication', function() {
+	var test = fixture.setUp();
+	var server;
+	var tokens;
+
+	beforeEach(function() {
+		server = test.server;
+		tokens = [];
+	});
+
+	/**
+	 * A token provider handing out a new token whenever asked to refresh.
+	 * @param refresh true if the current token was rejected
+	 * @returns {promise} a promise for the token
+	 */
+	function token(refresh) {
+		tokens.push(refresh);
+		return Promise.resolve('t' + tokens.filter(Boolean).length);
+	}
+
+	/**
+	 * Gets a header of each request the server has received.
+	 * @param name the name of the header
+	 * @returns {Array} the header values, oldest first
+	 */
+	function headers(name) {
+		return server.requests.map(function(req) {
+			return req.headers[name];
+		});
+	}
+
+	/**
+	 * Expects connecting with the provided options to fail without a
+	 * request being made.
+	 * @param options the connection options
+	 * @param message the message the connection is expected to fail with
+	 * @returns {promise} a promise which resolves once it has failed
+	 */
+	function refused(options, message) {
+		return test.connect(options).then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error.message).to.equal(message);
+			expect(server.requests).to.have.length(0);
+		});
+	}
+
+	it('sends a token with every request', function() {
+		return test.connect({auth: token}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function() {
+			expect(server.requests.length).to.be.above(2);
+			headers('Authorization').forEach(function(value) {
+				expect(value).to.equal('Bearer t0');
+			});
+			expect(tokens.every(function(refresh) {
+				return refresh === false;
+			})).to.equal(true);
+		});
+	});
+
+	it('puts the token where it is told to', function() {
+		return test.connect({
+			auth: {token: token, header: 'X-Token', scheme: ''}
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(headers('X-Token')).to.deep.equal(['t0', 't0']);
+			expect(headers('Authorization')).to.deep.equal(
+				[undefined, undefined]);
+		});
+	});
+
+	it('retries with a fresh token once unauthorized', function() {
+		var unauthorized = false;
+		return test.connect({auth: token}).then(function(connection) {
+			connection.on('unauthorized', function() {
+				unauthorized = true;
+			});
+			server.fault('post', {status: 401});
+			server.requests.length = 0;
+			return connection.create('Echo');
+		}).then(function(echo) {
+			expect(echo).to.be.an('object');
+			expect(server.requests.filter(function(req) {
+				return req.method === 'POST';
+			}).map(function(req) {
+				return req.headers.Authorization;
+			})).to.deep.equal(['Bearer t0', 'Bearer t1']);
+			expect(tokens).to.include(true);
+			expect(unauthorized).to.equal(false);
+		});
+	});
+
+	it('lets the application know when it stays unauthorized', function() {
+		var unauthorized;
+		return test.connect({auth: token}).then(function(connection) {
+			connection.on('unauthorized', function(error) {
+				unauthorized = error;
+			});
+			server.fault('post', {status: 401}, 2);
+			return connection.create('Echo');
+		}).then(function() {
+			throw new Error('expected failure');
+		}, function() {
+			expect(unauthorized.status).to.equal(401);
+		});
+	});
+
+	it('refuses transports that cannot carry the token', function() {
+		return refused(
+			{auth: token, transport: 'websocket'},
+			'auth not supported with the websocket transport'
+		).then(function() {
+			return refused(
+				{auth: token, transport: 'sse'},
+				'auth not supported with the sse transport');
+		});
+	});
+
+	it('refuses token providers that are not functions', function() {
+		return refused(
+			{auth: {token: 't0'}},
+			'auth token provider not a function');
+	});
+
+	it('refuses unknown transports', function() {
+		return refused({transport: 'pigeon'}, 'unknown transport: pigeon');
+	});
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var measureJSON = require('../requestQueue.js').measureJSON;
+var fixture = require('./helpers/fixture.js');
+
+describe('batching', function() {
+	var test = fixture.setUp();
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	/**
+	 * Connects with batching options and creates remote objects to invoke.
+	 * @param batching the batching options
+	 * @param count the number of remote objects to create
+	 * @returns {promise} a promise for the remote objects
+	 */
+	function connect(batching, count) {
+		return test.connect({batching: batching}).then(function(connection) {
+			var created = [];
+			for (var i = 0; i < count; i++) {
+				created.push(connection.create('Echo'));
+			}
+			return server.tick(batching.delay || 0).then(function() {
+				return Promise.all(created);
+			});
+		}).then(function(echoes) {
+			server.requests.length = 0;
+			return echoes;
+		});
+	}
+
+	/**
+	 * Gets the batches posted since the remote objects were created.
+	 * @returns {Array} the batches, each an array of the echoed arguments
+	 */
+	function batches() {
+		return server.requests.filter(function(req) {
+			return req.method === 'POST';
+		}).map(function(req) {
+			return req.data.map(function(request) {
+				return request.args[0];
+			});
+		});
+	}
+
+	it('measures JSON in UTF-8 bytes', function() {
+		expect(measureJSON('a')).to.equal(3);
+		expect(measureJSON('é')).to.equal(4);
+		expect(measureJSON('€')).to.equal(5);
+		expect(measureJSON('😀')).to.equal(6);
+		expect(measureJSON({a: [1, 'b']})).to.equal('{"a":[1,"b"]}'.length);
+	});
+
+	it('limits the number of requests in a batch', function() {
+		return connect({maxSize: 2}, 1).then(function(echoes) {
+			return Promise.all([1, 2, 3, 4, 5].map(function(value) {
+				return echoes[0].echo(value);
+			}));
+		}).then(function(values) {
+			expect(values).to.deep.equal([1, 2, 3, 4, 5]);
+			expect(batches()).to.deep.equal([[1], [2, 3], [4, 5]]);
+		});
+	});
+
+	it('limits the UTF-8 bytes in a batch', function() {
+		var text = new Array(11).join('é');
+		var request = {action: 'invoke', instanceID: 1, method: 'echo',
+			args: [text], requestID: 1};
+
+		// both would fit if characters were counted instead of bytes
+		var maxBytes = 2 * JSON.stringify(request).length;
+		expect(2 * measureJSON(request)).to.be.above(maxBytes);
+		return connect({maxBytes: maxBytes, delay: 10}, 1).then(
+			function(echoes) {
+				var sent = Promise.all([
+					echoes[0].echo(text),
+					echoes[0].echo(text)
+				]);
+				return server.tick(10).then(function() {
+					return sent;
+				});
+			}).then(function() {
+				expect(batches()).to.deep.equal([[text], [text]]);
+			});
+	});
+
+	it('waits for more requests before sending a batch', function() {
+		var echoes;
+		return connect({delay: 50}, 2).then(function(created) {
+			echoes = created;
+			echoes[0].echo('a');
+			return server.tick(30);
+		}).then(function() {
+			echoes[1].echo('b');
+			return server.tick(19);
+		}).then(function() {
+			expect(batches()).to.deep.equal([]);
+			return server.tick(1);
+		}).then(function() {
+			expect(batches()).to.deep.equal([['a', 'b']]);
+		});
+	});
+
+	it('sends high priority requests first and right away', function() {
+		return connect({maxSize: 1, delay: 50}, 3).then(function(echoes) {
+			echoes[0].echo.withOptions({priority: 'low'})('low');
+			echoes[1].echo('normal');
+			echoes[2].echo.withOptions({priority: 'high'})('high');
+			return server.flush();
+		}).then(function() {
+			expect(batches()).to.deep.equal([['high'], ['normal'], ['low']]);
+		});
+	});
+
+	it('keeps requests to a remote object in order', function() {
+		return connect({delay: 50}, 2).then(function(echoes) {
+			echoes[0].echo('first');
+			echoes[1].echo('other');
+			echoes[0].echo.withOptions({priority: 'high'})('second');
+			return server.flush();
+		}).then(function() {
+			expect(batches()).to.deep.equal([['first', 'second', 'other']]);
+		});
+	});
+
+	it('sends as many batches at once as allowed', function() {
+		return connect({maxSize: 1, concurrency: 2}, 3).then(function(echoes) {
+			server.fault('post', {delay: 100}, Infinity);
+			echoes.forEach(function(echo, index) {
+				echo.echo(index);
+			});
+			return server.flush();
+		}).then(function() {
+			expect(batches()).to.deep.equal([[0], [1]]);
+			return server.tick(100);
+		}).then(function() {
+			expect(batches()).to.deep.equal([[0], [1], [2]]);
+		});
+	});
+
+	it('holds requests back while earlier ones are on their way',
+		function() {
+			return connect({maxSize: 1, concurrency: 2}, 1).then(
+				function(echoes) {
+					server.fault('post', {delay: 100}, Infinity);
+					echoes[0].echo('first');
+					echoes[0].echo('second');
+					echoes[0].echo.withOptions({ordered: false})('unordered');
+					return server.flush();
+				}).then(function() {
+					expect(batches()).to.deep.equal([['first'], ['unordered']]);
+					return server.tick(100);
+				}).then(function() {
+					expect(batches()).to.deep.equal(
+						[['first'], ['unordered'], ['second']]);
+				});
+		});
+
+	it('fails only its own requests when a concurrent batch fails', function() {
+		var results = [];
+		return connect({maxSize: 1, concurrency: 2}, 2).then(function(echoes) {
+			server.fault('post', {status: 500});
+			return Promise.all(echoes.map(function(echo, index) {
+				return echo.echo(index).then(function(value) {
+					results.push(value);
+				}, function(error) {
+					results.push(error);
+				});
+			}));
+		}).then(function() {
+			expect(results[0]).to.be.an.instanceof(errors.RequestFailedError);
+			expect(results[1]).to.equal(1);
+			expect(test.connection.state).to.equal('open');
+		});
+	});
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('callbacks', function() {
+	var listener;
+	var test = fixture.setUp(function(server) {
+		listener = undefined;
+		server.factory('Notifier', function() {
+			return {
+				ask: function(fn, question) {
+					return fn(question);
+				},
+				listen: function(fn) {
+					listener = fn;
+				}
+			};
+		});
+	});
+	var server;
+	var notifier;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect().then(function(connection) {
+			return connection.create('Notifier');
+		}).then(function(ro) {
+			notifier = ro;
+		});
+	});
+
+	it('lets the server call functions passed to it', function() {
+		return notifier.ask(function(question) {
+			return question * 2;
+		}, 21).then(function(answer) {
+			expect(answer).to.equal(42);
+			return notifier.ask(function(question) {
+				return Promise.resolve(question + '!');
+			}, 'later');
+		}).then(function(answer) {
+			expect(answer).to.equal('later!');
+		});
+	});
+
+	it('tells the server when a function fails', function() {
+		return notifier.ask(function() {
+			throw new RangeError('no idea');
+		}).then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.RemoteInvocationError);
+			expect(error.message).to.equal('no idea');
+		});
+	});
+
+	it('keeps functions until the remote object is gone', function() {
+		var heard = [];
+		var refused;
+		return notifier.listen(function(news) {
+			heard.push(news);
+		}).then(function() {
+			return listener('first');
+		}).then(function() {
+			expect(heard).to.deep.equal(['first']);
+			notifier.destroy();
+			listener('second').then(undefined, function(error) {
+				refused = error;
+			});
+			return server.flush();
+		}).then(function() {
+			expect(heard).to.deep.equal(['first']);
+			expect(refused.message).to.equal('callback already released: 0');
+		});
+	});
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var expect = require('chai').expect;
+var codec = require('../codec.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('codec', function() {
+	var extended = codec.create();
+
+	/**
+	 * Sends a value through the codec and JSON, as it would be on the wire.
+	 * @param value the value
+	 * @returns {*} the value as received
+	 */
+	function roundTrip(value) {
+		return extended.decode(JSON.parse(JSON.stringify(
+			extended.encode(value))));
+	}
+
+	it('round trips what JSON cannot', function() {
+		var date = new Date(86400000);
+		expect(roundTrip(date)).to.deep.equal(date);
+		expect(roundTrip(undefined)).to.equal(undefined);
+		expect(roundTrip(NaN)).to.deep.equal(NaN);
+		expect(roundTrip(-Infinity)).to.equal(-Infinity);
+		expect(roundTrip([1, undefined, 'a'])).to.deep.equal(
+			[1, undefined, 'a']);
+		expect(roundTrip(new Uint8Array([0, 127, 255]))).to.deep.equal(
+			new Uint8Array([0, 127, 255]));
+		expect(roundTrip(new global.Set(['a', 'b']))).to.deep.equal(
+			new global.Set(['a', 'b']));
+	});
+
+	it('round trips Maps with any keys and values', function() {
+		var map = new global.Map();
+		map.set(new Date(0), {when: new Date(1)});
+		map.set('missing', undefined);
+		var received = roundTrip({map: map});
+		expect(received.map).to.be.an.instanceof(global.Map);
+		expect(Array.from(received.map.entries())).to.deep.equal([
+			[new Date(0), {when: new Date(1)}],
+			['missing', undefined]
+		]);
+	});
+
+	it('leaves what JSON can represent alone', function() {
+		var value = {a: [1, 'two', null, true], b: {c: 3.5}};
+		expect(extended.encode(value)).to.deep.equal(value);
+		expect(roundTrip(value)).to.deep.equal(value);
+	});
+
+	it('round trips registered types', function() {
+		function Point(x, y) {
+			this.x = x;
+			this.y = y;
+		}
+		var withPoints = codec.create();
+		withPoints.register('Point', {
+			test: function(value) {
+				return value instanceof Point;
+			},
+			encode: function(point) {
+				return [point.x, point.y];
+			},
+			decode: function(pair) {
+				return new Point(pair[0], pair[1]);
+			}
+		});
+		var received = withPoints.decode(JSON.parse(JSON.stringify(
+			withPoints.encode({at: new Point(1, 2)}))));
+		expect(received.at).to.be.an.instanceof(Point);
+		expect(received.at).to.deep.equal(new Point(1, 2));
+	});
+
+	describe('with a server that accepts it', function() {
+		var test = fixture.setUp(undefined, {codec: codec.create()});
+
+		it('passes arguments and results through the codec', function() {
+			var date = new Date(3600000);
+			var map = new global.Map([['at', date]]);
+			return test.connect({codec: true}).then(function(connection) {
+				return connection.create('Echo');
+			}).then(function(echo) {
+				return echo.echo([date, map, undefined, NaN]);
+			}).then(function(value) {
+				expect(value[0]).to.deep.equal(date);
+				expect(value[1]).to.deep.equal(map);
+				expect(value[2]).to.equal(undefined);
+				expect(value[3]).to.deep.equal(NaN);
+				expect(test.posted()[1].args[0][0]).to.deep.equal(
+					{$jsro: 'Date', value: 3600000});
+			});
+		});
+	});
+
+	describe('with a server that does not', function() {
+		var test = fixture.setUp();
+
+		it('falls back to plain JSON', function() {
+			return test.connect({codec: true}).then(function(connection) {
+				expect(test.server.requests[0].url).to.contain(
+					'codec=' + codec.NAME);
+				return connection.create('Echo');
+			}).then(function(echo) {
+				return echo.echo({nothing: undefined});
+			}).then(function(value) {
+				expect(value).to.deep.equal({});
+				expect(test.posted()[1].args).to.deep.equal([{}]);
+			});
+		});
+	});
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('disconnection', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Worker', function() {
+			return {
+				work: function(ms) {
+					return new Promise(function(resolve) {
+						server.context.setTimeout(function() {
+							resolve('done');
+						}, ms);
+					});
+				}
+			};
+		});
+	});
+	var server;
+	var connection;
+	var worker;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect().then(function(c) {
+			connection = c;
+			return connection.create('Worker');
+		}).then(function(ro) {
+			worker = ro;
+		});
+	});
+
+	/**
+	 * Asserts that a promise is rejected with a ConnectionLostError.
+	 * @param promise the promise
+	 * @returns {promise} a promise which resolves once it has been rejected
+	 */
+	function lost(promise) {
+		return promise.then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.ConnectionLostError);
+		});
+	}
+
+	it('deletes the session and loses its remote objects', function() {
+		var events = [];
+		connection.on('statechange', function(state, previous) {
+			events.push(previous + '>' + state);
+		});
+		connection.on('disconnect', function() {
+			events.push('disconnect');
+		});
+		worker.on('loss', function(error) {
+			expect(error).to.be.an.instanceof(errors.ConnectionLostError);
+			events.push('loss');
+		});
+		var working = lost(worker.work(100));
+		return connection.disconnect().then(function(deleted) {
+			expect(deleted).to.equal(true);
+			expect(events).to.deep.equal(['disconnect', 'open>closed', 'loss']);
+			expect(server.requests.pop().method).to.equal('DELETE');
+			expect(server.instances()).to.have.length(0);
+			return working;
+		});
+	});
+
+	it('gets the same result when called again', function() {
+		var first = connection.disconnect();
+		expect(connection.disconnect()).to.equal(first);
+		expect(connection.disconnect({graceful: true})).to.equal(first);
+		return first.then(function() {
+			return connection.disconnect();
+		}).then(function(deleted) {
+			expect(deleted).to.equal(true);
+			expect(server.requests.filter(function(req) {
+				return req.method === 'DELETE';
+			})).to.have.length(1);
+		});
+	});
+
+	it('refuses new requests once disconnected', function() {
+		connection.disconnect();
+		expect(function() {
+			connection.create('Worker');
+		}).to.throw(errors.ConnectionLostError, 'already disconnected');
+		expect(function() {
+			worker.work(1);
+		}).to.throw(errors.RemoteObjectDestroyedError);
+	});
+
+	it('resolves to false if the session could not be deleted', function() {
+		server.fault('delete', {status: 500});
+		return connection.disconnect().then(function(deleted) {
+			expect(deleted).to.equal(false);
+			expect(connection.state).to.equal('closed');
+		});
+	});
+
+	it('waits for outstanding results when graceful', function() {
+		var result;
+		var closed;
+		worker.work(100).then(function(value) {
+			result = value;
+		});
+		connection.disconnect({graceful: true}).then(function(deleted) {
+			closed = deleted;
+		});
+		expect(connection.state).to.equal('closing');
+		expect(function() {
+			connection.create('Worker');
+		}).to.throw(errors.ConnectionLostError, 'connection closing');
+		return server.tick(99).then(function() {
+			expect(result).to.equal(undefined);
+			expect(connection.state).to.equal('closing');
+			return server.tick(1);
+		}).then(function() {
+			expect(result).to.equal('done');
+			expect(closed).to.equal(true);
+			expect(connection.state).to.equal('closed');
+		});
+	});
+
+	it('stops waiting for results after the timeout', function() {
+		var working = lost(worker.work(1000));
+		var closing = connection.disconnect({graceful: true, timeout: 50});
+		return server.tick(50).then(function() {
+			expect(connection.state).to.equal('closed');
+			return closing;
+		}).then(function(deleted) {
+			expect(deleted).to.equal(true);
+			return working;
+		});
+	});
+
+	it('validates the timeout', function() {
+		expect(function() {
+			connection.disconnect({graceful: true, timeout: -1});
+		}).to.throw('"timeout" not a non-negative number');
+		expect(connection.state).to.equal('open');
+	});
+});
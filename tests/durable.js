@@ -0,0 +1,124 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('durable remote objects', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Counter', function(spec, instance) {
+			var count = spec.start;
+			instance.property('count', count);
+			return {
+				increment: function() {
+					instance.property('count', ++count);
+					return count;
+				},
+				twin: function() {
+					return instance.create('Counter', {start: count});
+				}
+			};
+		});
+	});
+	var server;
+	var connection;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect({
+			durable: true,
+			reconnect: {delay: 100}
+		}).then(function(c) {
+			connection = c;
+		});
+	});
+
+	it('re-creates them in a new session', function() {
+		var counter;
+		var events = [];
+		connection.on('statechange', function(state) {
+			events.push(state);
+		});
+		connection.on('reconnected', function() {
+			events.push('reconnected');
+		});
+		return connection.create('Counter', {start: 5}).then(function(ro) {
+			counter = ro;
+			counter.on('restored', function() {
+				events.push('restored');
+			});
+			return counter.increment();
+		}).then(function() {
+			server.endSessions();
+			return server.tick(100);
+		}).then(function() {
+			// the connection is only back once its objects are
+			expect(events).to.deep.equal([
+				'reconnecting',
+				'connecting',
+				'restored',
+				'reconnected',
+				'open'
+			]);
+			expect(test.posted('c2')).to.deep.equal([
+				{action: 'create', name: 'Counter', spec: {start: 5},
+					requestID: 2}
+			]);
+
+			// the new instance starts over, and the property follows it
+			expect(counter.count).to.equal(5);
+			return counter.increment();
+		}).then(function(count) {
+			expect(count).to.equal(6);
+			expect(server.instances('Counter')).to.have.length(1);
+		});
+	});
+
+	it('sends requests held during the restore to the new instances',
+		function() {
+			var counter;
+			return connection.create('Counter', {start: 0}).then(function(ro) {
+				ro.destroy();
+				return connection.create('Counter', {start: 10});
+			}).then(function(ro) {
+				counter = ro;
+				server.endSessions();
+				return server.flush();
+			}).then(function() {
+				// sent once the counter has been re-created, as instance 1
+				var result = counter.increment();
+				return server.tick(100).then(function() {
+					return result;
+				});
+			}).then(function(count) {
+				expect(count).to.equal(11);
+				expect(test.posted('c2').map(function(req) {
+					return req.action + ':' + req.instanceID;
+				})).to.deep.equal(['create:undefined', 'invoke:1']);
+			});
+		});
+
+	it('loses objects it does not know how to re-create', function() {
+		var twin;
+		var lost;
+		return connection.create('Counter', {start: 0}).then(function(ro) {
+			return ro.twin();
+		}).then(function(ro) {
+			twin = ro;
+			twin.on('loss', function(error) {
+				lost = error;
+			});
+			server.endSessions();
+			return server.tick(100);
+		}).then(function() {
+			expect(lost).to.be.an.instanceof(errors.ConnectionLostError);
+			expect(twin.increment).to.throw(errors.RemoteObjectDestroyedError);
+
+			// the lost object's ID means another object in the new session
+			expect(test.posted('c2').map(function(req) {
+				return req.action;
+			})).to.deep.equal(['create']);
+			expect(server.instances('Counter')).to.have.length(1);
+		});
+	});
+});
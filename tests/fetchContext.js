@@ -0,0 +1,182 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fetchContext = require('../fetchContext.js');
+
+describe('fetch context', function() {
+	var context = fetchContext.create();
+	var originalFetch;
+	var originalXHR;
+
+	beforeEach(function() {
+		originalFetch = global.fetch;
+		originalXHR = global.XMLHttpRequest;
+	});
+
+	afterEach(function() {
+		global.fetch = originalFetch;
+		global.XMLHttpRequest = originalXHR;
+	});
+
+	/**
+	 * Expects a promise to be rejected.
+	 * @param promise the promise
+	 * @returns {promise} a promise for the error it was rejected with
+	 */
+	function rejected(promise) {
+		return promise.then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			return error;
+		});
+	}
+
+	describe('with fetch', function() {
+		var calls;
+
+		/**
+		 * Answers requests with a response, recording them.
+		 * @param status the response status
+		 * @param body the response body text
+		 */
+		function respond(status, body) {
+			global.fetch = function(url, init) {
+				calls.push({url: url, init: init});
+				return Promise.resolve({
+					ok: status >= 200 && status < 300,
+					status: status,
+					text: function() {
+						return Promise.resolve(body);
+					}
+				});
+			};
+		}
+
+		beforeEach(function() {
+			calls = [];
+		});
+
+		it('sends JSON and parses the response', function() {
+			respond(200, '{"connectionID":"c1"}');
+			return context.request(
+				'POST',
+				'http://jsro/c1',
+				[{action: 'create'}],
+				{'X-Token': 't0'}
+			).then(function(result) {
+				expect(result).to.deep.equal({connectionID: 'c1'});
+				expect(calls[0].url).to.equal('http://jsro/c1');
+				expect(calls[0].init.method).to.equal('POST');
+				expect(calls[0].init.headers).to.deep.equal({
+					'Accept': 'application/json',
+					'Content-Type': 'application/json',
+					'X-Token': 't0'
+				});
+				expect(calls[0].init.body).to.equal('[{"action":"create"}]');
+				respond(204, '');
+				return context.request('DELETE', 'http://jsro/c1');
+			}).then(function(result) {
+				expect(result).to.equal(undefined);
+				expect(calls[1].init.body).to.equal(undefined);
+			});
+		});
+
+		it('fails with the status of unsuccessful responses', function() {
+			respond(503, 'down');
+			return rejected(
+				context.request('GET', 'http://jsro/')
+			).then(function(error) {
+				expect(error.status).to.equal(503);
+				expect(error.body).to.equal('down');
+			});
+		});
+
+		it('aborts requests', function() {
+			var signal;
+			global.fetch = function(url, init) {
+				signal = init.signal;
+				return new Promise(function(resolve, reject) {
+					signal.addEventListener('abort', function() {
+						reject(new Error('The operation was aborted.'));
+					});
+				});
+			};
+			var request = context.request('GET', 'http://jsro/c1');
+			request.abort();
+			return rejected(request).then(function(error) {
+				expect(error.aborted).to.equal(true);
+				expect(signal.aborted).to.equal(true);
+			});
+		});
+	});
+
+	describe('with XMLHttpRequest', function() {
+		var xhrs;
+
+		beforeEach(function() {
+			xhrs = [];
+			global.fetch = undefined;
+			global.XMLHttpRequest = function() {
+				var xhr = this;
+				xhr.headers = {};
+				xhr.open = function(method, url) {
+					xhr.method = method;
+					xhr.url = url;
+				};
+				xhr.setRequestHeader = function(name, value) {
+					xhr.headers[name] = value;
+				};
+				xhr.send = function(body) {
+					xhr.body = body;
+				};
+				xhr.abort = function() {
+					xhr.onabort();
+				};
+				xhr.respond = function(status, text) {
+					xhr.status = status;
+					xhr.responseText = text;
+					xhr.onload();
+				};
+				xhrs.push(xhr);
+			};
+		});
+
+		it('sends JSON and parses the response', function() {
+			var request = context.request(
+				'POST',
+				'http://jsro/c1',
+				[{action: 'create'}],
+				{'X-Token': 't0'});
+			var xhr = xhrs[0];
+			expect(xhr.method).to.equal('POST');
+			expect(xhr.url).to.equal('http://jsro/c1');
+			expect(xhr.headers).to.deep.equal({
+				'Accept': 'application/json',
+				'Content-Type': 'application/json',
+				'X-Token': 't0'
+			});
+			expect(xhr.body).to.equal('[{"action":"create"}]');
+			xhr.respond(200, '{"result":1}');
+			return request.then(function(result) {
+				expect(result).to.deep.equal({result: 1});
+			});
+		});
+
+		it('fails with the status of unsuccessful responses', function() {
+			var request = context.request('GET', 'http://jsro/');
+			xhrs[0].respond(404, 'gone');
+			return rejected(request).then(function(error) {
+				expect(error.status).to.equal(404);
+				expect(error.body).to.equal('gone');
+			});
+		});
+
+		it('aborts requests', function() {
+			var request = context.request('GET', 'http://jsro/c1');
+			request.abort();
+			return rejected(request).then(function(error) {
+				expect(error.aborted).to.equal(true);
+			});
+		});
+	});
+});
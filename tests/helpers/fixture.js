@@ -0,0 +1,117 @@
+'use strict';
+
+var connection = require('../../connection.js');
+var mockServer = require('../../mockServer.js');
+
+/**
+ * Sets up a fresh mock server before each test of the suite it's called
+ * from, and disconnects whatever connected to it once the test is done. The
+ * server has an 'Echo' factory, whose remote objects have an 'echo' method
+ * which returns its argument and a 'hang' method which never returns.
+ * @param [setUpServer] a function which is passed each new server, e.g. to
+ * register more factories
+ * @param [serverOptions] options for the server (see mockServer.create())
+ * @returns {Fixture} the fixture, whose 'server' is replaced before each test
+ */
+module.exports.setUp = function(setUpServer, serverOptions) {
+	var fixture = new Fixture();
+
+	beforeEach(function() {
+		fixture.server = mockServer.create(serverOptions);
+		fixture.server.factory('Echo', function() {
+			return {
+				echo: function(value) {
+					return value;
+				},
+				hang: function() {
+					return new Promise(function() {});
+				}
+			};
+		});
+		if (setUpServer) {
+			setUpServer(fixture.server);
+		}
+	});
+
+	afterEach(function() {
+		fixture.disconnectAll();
+	});
+
+	return fixture;
+};
+
+/**
+ * Ignores whatever it is passed, e.g. results nobody is waiting on.
+ */
+module.exports.ignore = function() {
+};
+
+/**
+ * The mock server a test runs against, and the connections made to it.
+ * @constructor
+ */
+function Fixture() {
+	var self = this;
+
+	// the connections made during the current test
+	var connections = [];
+
+	/**
+	 * The mock server of the current test.
+	 */
+	self.server = undefined;
+
+	/**
+	 * The connection made last during the current test.
+	 */
+	self.connection = undefined;
+
+	/**
+	 * Connects to the server.
+	 * @param [options] connection options (see connection.establish())
+	 * @param [context] the context to connect through, if not the server's
+	 * own, e.g. one adding WebSockets to it
+	 * @returns {promise} a promise for the connection
+	 */
+	self.connect = function(options, context) {
+		return connection.establish(
+			self.server.url,
+			context || self.server.context,
+			options
+		).then(function(c) {
+			connections.push(c);
+			self.connection = c;
+			return c;
+		});
+	};
+
+	/**
+	 * Gets the requests the server has been sent in POSTed batches.
+	 * @param [connectionID] the ID of the session to get the requests sent
+	 * to; if not provided, the requests sent to every session are returned
+	 * @returns {Array} the requests, in the order they were sent
+	 */
+	self.posted = function(connectionID) {
+		return self.server.requests.filter(function(req) {
+			return req.method === 'POST' && (connectionID === undefined ||
+				req.url === self.server.url + connectionID);
+		}).reduce(function(sent, req) {
+			return sent.concat(req.data);
+		}, []);
+	};
+
+	/**
+	 * Disconnects the connections made during the current test which are
+	 * still connected.
+	 */
+	self.disconnectAll = function() {
+		connections.splice(0).forEach(function(c) {
+			if (c.state !== 'closed') {
+				c.disconnect();
+			}
+		});
+		self.connection = undefined;
+	};
+
+	return this;
+}
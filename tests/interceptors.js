@@ -0,0 +1,100 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('interceptors', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Bell', function(spec, instance) {
+			return {
+				ring: function(tone) {
+					instance.fire('rang', tone);
+				}
+			};
+		});
+	});
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	it('drops messages the message hook returns null for', function() {
+		var tones = [];
+		var bell;
+		return test.connect({
+			interceptors: [{
+				message: function(message) {
+					return message.event === 'rang' &&
+						message.args[0] === 'hush' ? null : message;
+				}
+			}]
+		}).then(function(connection) {
+			return connection.create('Bell');
+		}).then(function(ro) {
+			bell = ro;
+			bell.on('rang', function(tone) {
+				tones.push(tone);
+			});
+			return server.flush();
+		}).then(function() {
+			return bell.ring('hush');
+		}).then(function() {
+			return bell.ring('loud');
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(tones).to.deep.equal(['loud']);
+		});
+	});
+
+	it('sends and dispatches what the hooks rewrite', function() {
+		return test.connect().then(function(connection) {
+			connection.use({
+				request: function(req) {
+					if (req.method === 'echo') {
+						req.args = [req.args[0].toUpperCase()];
+					}
+				},
+				message: function(message) {
+					if (message.result === 'HI') {
+						return {requestID: message.requestID, result: 'hi!'};
+					}
+				}
+			});
+			return connection.create('Echo');
+		}).then(function(echo) {
+			return echo.echo('hi');
+		}).then(function(value) {
+			expect(value).to.equal('hi!');
+			expect(test.posted()[1].args).to.deep.equal(['HI']);
+		});
+	});
+
+	it('tells the error hook of a concurrent batch failing', function() {
+		var told = [];
+		return test.connect({
+			batching: {maxSize: 1, concurrency: 2},
+			interceptors: [{
+				error: function(error) {
+					told.push(error);
+				}
+			}]
+		}).then(function(connection) {
+			return Promise.all([
+				connection.create('Echo'),
+				connection.create('Echo')
+			]);
+		}).then(function(echoes) {
+			server.fault('post', {status: 500});
+			return Promise.all(echoes.map(function(echo, index) {
+				return echo.echo(index).then(undefined, fixture.ignore);
+			}));
+		}).then(function() {
+			expect(told).to.have.length(1);
+			expect(told[0]).to.be.an.instanceof(errors.RequestFailedError);
+			expect(test.connection.state).to.equal('open');
+		});
+	});
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('timeouts and cancellation', function() {
+	var test = fixture.setUp();
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	/**
+	 * Connects and creates a remote object to invoke.
+	 * @param [options] connection options
+	 * @returns {promise} a promise for the remote object
+	 */
+	function connect(options) {
+		return test.connect(options).then(function(connection) {
+			var created = connection.create('Echo');
+			return server.tick(0).then(function() {
+				return created;
+			});
+		});
+	}
+
+	/**
+	 * Records how a promise settles.
+	 * @param promise the promise
+	 * @returns {Object} an object which gets the 'value' the promise resolves
+	 * to or the 'error' it is rejected with
+	 */
+	function watch(promise) {
+		var outcome = {};
+		promise.then(function(value) {
+			outcome.value = value;
+		}, function(error) {
+			outcome.error = error;
+		});
+		return outcome;
+	}
+
+	/**
+	 * Gets the requests asking the server to cancel others.
+	 * @returns {Array} the IDs of the requests to cancel
+	 */
+	function cancelled() {
+		return test.posted().filter(function(req) {
+			return req.action === 'cancel';
+		}).map(function(req) {
+			return req.target;
+		});
+	}
+
+	it('times out invocations taking too long', function() {
+		var outcome;
+		return connect().then(function(echo) {
+			outcome = watch(echo.hang.withOptions({timeout: 100})());
+			return server.tick(99);
+		}).then(function() {
+			expect(outcome).to.deep.equal({});
+			return server.tick(1);
+		}).then(function() {
+			expect(outcome.error).to.be.an.instanceof(errors.TimeoutError);
+			expect(outcome.error.timeout).to.equal(100);
+			expect(cancelled()).to.deep.equal([test.posted()[1].requestID]);
+		});
+	});
+
+	it('applies the connection default timeout', function() {
+		var outcome;
+		return connect({invokeTimeout: 50}).then(function(echo) {
+			outcome = watch(echo.hang());
+			return server.tick(50);
+		}).then(function() {
+			expect(outcome.error).to.be.an.instanceof(errors.TimeoutError);
+			expect(outcome.error.timeout).to.equal(50);
+		});
+	});
+
+	it('cancels aborted invocations on the server', function() {
+		var outcome;
+		return connect().then(function(echo) {
+			var hanging = echo.hang();
+			outcome = watch(hanging);
+			return server.flush().then(function() {
+				hanging.abort();
+				return server.flush();
+			});
+		}).then(function() {
+			expect(outcome.error).to.be.an.instanceof(
+				errors.CancellationError);
+			expect(cancelled()).to.deep.equal([test.posted()[1].requestID]);
+		});
+	});
+
+	it('never sends invocations aborted while queued', function() {
+		var outcome;
+		return test.connect({
+			batching: {delay: 50}
+		}).then(function(connection) {
+			var created = connection.create('Echo');
+			return server.tick(50).then(function() {
+				return created;
+			});
+		}).then(function(echo) {
+			var hanging = echo.hang();
+			outcome = watch(hanging);
+			hanging.abort();
+			return server.tick(50);
+		}).then(function() {
+			expect(outcome.error).to.be.an.instanceof(
+				errors.CancellationError);
+			expect(test.posted().map(function(req) {
+				return req.action;
+			})).to.deep.equal(['create']);
+		});
+	});
+
+	it('ignores aborting invocations which are over', function() {
+		var echoed;
+		return connect().then(function(echo) {
+			echoed = echo.echo('done');
+			return echoed;
+		}).then(function() {
+			echoed.abort();
+			return server.flush();
+		}).then(function() {
+			expect(cancelled()).to.deep.equal([]);
+			return echoed;
+		}).then(function(value) {
+			expect(value).to.equal('done');
+		});
+	});
+});
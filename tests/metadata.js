@@ -0,0 +1,116 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('method metadata', function() {
+	var logged;
+	var test = fixture.setUp(function(server) {
+		logged = [];
+		server.factory('Account', function(spec, instance) {
+			instance.property('owner', 'ann', false);
+			instance.property('nickname', 'a', true);
+			var deposit = function(amount, note) {
+				return note ? amount + ' ' + note : amount;
+			};
+			deposit.params = [
+				{name: 'amount', type: 'number'},
+				{name: 'note', type: 'string|null', optional: true}
+			];
+			var log = function(entry) {
+				logged.push(entry);
+			};
+			log.oneWay = true;
+			return {
+				deposit: deposit,
+				log: log,
+				close: function() {
+					return 'closed';
+				}
+			};
+		});
+	});
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	/**
+	 * Connects and creates an account.
+	 * @param [options] connection options
+	 * @returns {promise} a promise for the account
+	 */
+	function connect(options) {
+		return test.connect(options).then(function(connection) {
+			return connection.create('Account');
+		});
+	}
+
+	it('describes methods and properties as the server does', function() {
+		return connect().then(function(account) {
+			expect(account.describe()).to.deep.equal({
+				methods: [
+					{
+						name: 'deposit',
+						params: [
+							{name: 'amount', type: 'number'},
+							{name: 'note', type: 'string|null', optional: true}
+						],
+						oneWay: false
+					},
+					{name: 'log', oneWay: true},
+					{name: 'close', oneWay: false}
+				],
+				properties: {
+					owner: {writable: false},
+					nickname: {writable: true}
+				}
+			});
+		});
+	});
+
+	it('validates arguments against the parameters if asked to', function() {
+		return connect({validate: true}).then(function(account) {
+			expect(function() {
+				account.deposit('ten');
+			}).to.throw(errors.ValidationError,
+				'argument amount of deposit should be number but is string');
+			expect(function() {
+				account.deposit();
+			}).to.throw(errors.ValidationError,
+				'deposit takes 1 to 2 arguments but was passed 0');
+			expect(function() {
+				account.deposit(1, 'a', 'b');
+			}).to.throw(errors.ValidationError);
+			return account.deposit(10, null);
+		}).then(function(result) {
+			expect(result).to.equal(10);
+			expect(test.posted().map(function(req) {
+				return req.action;
+			})).to.deep.equal(['create', 'invoke']);
+		});
+	});
+
+	it('leaves checking arguments to the server by default', function() {
+		return connect().then(function(account) {
+			return account.deposit('ten', 'euros');
+		}).then(function(result) {
+			expect(result).to.equal('ten euros');
+		});
+	});
+
+	it('expects nothing back from one-way methods', function() {
+		return connect().then(function(account) {
+			expect(account.log('opened')).to.equal(undefined);
+			return server.flush();
+		}).then(function() {
+			expect(logged).to.deep.equal(['opened']);
+			expect(test.posted()[1]).to.include(
+				{action: 'invoke', method: 'log', oneWay: true});
+			expect(test.connection.stats().state.pendingRequests)
+				.to.equal(0);
+		});
+	});
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('mock server', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Counter', function(spec, instance) {
+			var count = spec ? spec.start : 0;
+			instance.property('count', count);
+			instance.property('label', 'counter', true);
+			return {
+				increment: function() {
+					instance.property('count', ++count);
+					instance.fire('change', count);
+					return count;
+				},
+				fail: function() {
+					throw new RangeError('nope');
+				},
+				twin: function() {
+					return instance.create('Counter', {start: count});
+				}
+			};
+		});
+		server.offer('room', function(key) {
+			return key === 'lobby' ? {name: function() {
+				return key;
+			}} : undefined;
+		});
+	});
+	var server;
+	var connection;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect().then(function(c) {
+			connection = c;
+		});
+	});
+
+	it('creates instances from factories and invokes them', function() {
+		return connection.create('Counter', {start: 5}).then(function(ro) {
+			expect(ro.count).to.equal(5);
+			return ro.increment();
+		}).then(function(count) {
+			expect(count).to.equal(6);
+			var instances = server.instances('Counter');
+			expect(instances).to.have.length(1);
+			expect(instances[0].properties.count.value).to.equal(6);
+		});
+	});
+
+	it('fails invocations with the errors methods throw', function() {
+		return connection.create('Counter').then(function(ro) {
+			return ro.fail();
+		}).then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.RemoteInvocationError);
+			expect(error.message).to.equal('nope');
+		});
+	});
+
+	it('offers existing objects by name and key', function() {
+		return connection.get('room', 'lobby').then(function(room) {
+			return room.name();
+		}).then(function(name) {
+			expect(name).to.equal('lobby');
+			return connection.get('room', 'attic');
+		}).then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.RemoteInvocationError);
+		});
+	});
+
+	it('describes instances returned from methods', function() {
+		return connection.create('Counter', {start: 3}).then(function(ro) {
+			return ro.twin();
+		}).then(function(twin) {
+			expect(twin.count).to.equal(3);
+			return twin.increment();
+		}).then(function(count) {
+			expect(count).to.equal(4);
+			expect(server.instances('Counter')).to.have.length(2);
+		});
+	});
+
+	it('pushes property changes and subscribed events', function() {
+		var changes = [];
+		var ro;
+		return connection.create('Counter').then(function(created) {
+			ro = created;
+			var instance = server.instances('Counter')[0];
+			instance.fire('change', -1);
+			ro.on('change', function(count) {
+				changes.push(count);
+			});
+			return server.flush();
+		}).then(function() {
+			expect(server.instances('Counter')[0].subscriptions)
+				.to.deep.equal({change: null});
+			return ro.increment();
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(changes).to.deep.equal([1]);
+			expect(ro.count).to.equal(1);
+		});
+	});
+
+	it('logs the requests it receives', function() {
+		return connection.create('Counter').then(function() {
+			var methods = server.requests.map(function(req) {
+				return req.method;
+			});
+			expect(methods[0]).to.equal('GET');
+			expect(methods).to.include('POST');
+			var post = server.requests[methods.indexOf('POST')];
+			expect(post.data).to.deep.equal([
+				{action: 'create', name: 'Counter', requestID: 0}
+			]);
+		});
+	});
+
+	it('logs copies of the request headers', function() {
+		var headers = {'X-Token': 'first'};
+		var request = server.context.request(
+			'GET', server.url, undefined, headers);
+		headers['X-Token'] = 'second';
+		return request.then(function() {
+			expect(server.requests.pop().headers).to.deep.equal(
+				{'X-Token': 'first'});
+		});
+	});
+
+	it('runs timers on a fake clock', function() {
+		var fired = [];
+		server.context.setTimeout(function() {
+			fired.push('late');
+		}, 200);
+		var cancelled = server.context.setTimeout(function() {
+			fired.push('cancelled');
+		}, 50);
+		server.context.setTimeout(function() {
+			fired.push('early');
+		}, 100);
+		server.context.clearTimeout(cancelled);
+		return server.tick(150).then(function() {
+			expect(fired).to.deep.equal(['early']);
+			expect(server.now()).to.equal(150);
+			expect(server.context.now()).to.equal(150);
+			return server.tick(50);
+		}).then(function() {
+			expect(fired).to.deep.equal(['early', 'late']);
+		});
+	});
+
+	it('delays responses by the fake clock', function() {
+		var other;
+		server.fault('establish', {delay: 100});
+		server.connect().then(function(c) {
+			other = c;
+		});
+		return server.tick(99).then(function() {
+			expect(other).to.equal(undefined);
+			return server.tick(1);
+		}).then(function() {
+			expect(other.state).to.equal('open');
+			other.disconnect();
+		});
+	});
+
+	it('injects faults as many times as asked', function() {
+		server.fault('establish', {status: 503}, 2);
+		function refused() {
+			return server.connect().then(function() {
+				throw new Error('expected failure');
+			}, function(error) {
+				expect(error.status).to.equal(503);
+			});
+		}
+		return refused().then(refused).then(function() {
+			return server.connect();
+		}).then(function(c) {
+			expect(c.state).to.equal('open');
+			c.disconnect();
+		});
+	});
+
+	it('fails requests with injected statuses', function() {
+		var lost;
+		connection.on('loss', function(error) {
+			lost = error;
+		});
+		server.fault('post', {status: 500});
+		return connection.create('Counter').then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.ConnectionLostError);
+			expect(lost).to.equal(error);
+			expect(connection.state).to.equal('closed');
+		});
+	});
+
+	it('ends sessions as a restarted server would', function() {
+		var ro;
+		return connection.create('Counter').then(function(created) {
+			ro = created;
+			server.endSessions();
+			expect(server.instances()).to.have.length(0);
+			return server.flush();
+		}).then(function() {
+			expect(connection.state).to.equal('closed');
+			expect(ro.increment).to.throw(errors.RemoteObjectDestroyedError);
+		});
+	});
+});
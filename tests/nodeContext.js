@@ -0,0 +1,113 @@
+'use strict';
+
+var http = require('http');
+var expect = require('chai').expect;
+var nodeContext = require('../nodeContext.js');
+
+describe('node context', function() {
+	var context = nodeContext.create();
+	var httpServer;
+	var url;
+	var received;
+	var respond;
+
+	before(function(done) {
+		httpServer = http.createServer(function(request, response) {
+			var chunks = [];
+			request.on('data', function(chunk) {
+				chunks.push(chunk);
+			});
+			request.on('end', function() {
+				received = {
+					method: request.method,
+					url: request.url,
+					headers: request.headers,
+					body: Buffer.concat(chunks).toString('utf8')
+				};
+				respond(response);
+			});
+		});
+		httpServer.listen(0, '127.0.0.1', function() {
+			url = 'http://127.0.0.1:' + httpServer.address().port;
+			done();
+		});
+	});
+
+	after(function(done) {
+		httpServer.closeAllConnections();
+		httpServer.close(done);
+	});
+
+	beforeEach(function() {
+		received = undefined;
+	});
+
+	/**
+	 * Expects a promise to be rejected.
+	 * @param promise the promise
+	 * @returns {promise} a promise for the error it was rejected with
+	 */
+	function rejected(promise) {
+		return promise.then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			return error;
+		});
+	}
+
+	it('sends JSON and parses the response', function() {
+		respond = function(response) {
+			response.writeHead(200, {'Content-Type': 'application/json'});
+			response.end('{"connectionID":"c1"}');
+		};
+		return context.request(
+			'POST',
+			url + '/c1?codec=none',
+			[{action: 'create'}],
+			{'X-Token': 't0'}
+		).then(function(result) {
+			expect(result).to.deep.equal({connectionID: 'c1'});
+			expect(received.method).to.equal('POST');
+			expect(received.url).to.equal('/c1?codec=none');
+			expect(received.headers).to.include({
+				'accept': 'application/json',
+				'content-type': 'application/json',
+				'x-token': 't0'
+			});
+			expect(received.body).to.equal('[{"action":"create"}]');
+			respond = function(response) {
+				response.writeHead(204);
+				response.end();
+			};
+			return context.request('DELETE', url + '/c1');
+		}).then(function(result) {
+			expect(result).to.equal(undefined);
+			expect(received.method).to.equal('DELETE');
+		});
+	});
+
+	it('fails with the status of unsuccessful responses', function() {
+		respond = function(response) {
+			response.writeHead(503);
+			response.end('down');
+		};
+		return rejected(
+			context.request('GET', url + '/')
+		).then(function(error) {
+			expect(error.status).to.equal(503);
+			expect(error.body).to.equal('down');
+		});
+	});
+
+	it('aborts requests', function() {
+		var request;
+		respond = function() {
+			request.abort();
+		};
+		request = context.request('GET', url + '/c1');
+		return rejected(request).then(function(error) {
+			expect(error.aborted).to.equal(true);
+			expect(received.url).to.equal('/c1');
+		});
+	});
+});
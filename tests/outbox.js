@@ -0,0 +1,214 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('offline outbox', function() {
+	var entries;
+	var test = fixture.setUp(function(server) {
+		entries = [];
+		server.offer('log', function(key) {
+			return key === 'main' ? {
+				add: function(entry) {
+					entries.push(entry);
+					return entries.length;
+				}
+			} : undefined;
+		});
+	});
+	var server;
+	var saves;
+	var stored;
+	var storage = {
+		save: function(outbox) {
+			saves++;
+			stored = JSON.parse(JSON.stringify(outbox));
+		},
+		load: function() {
+			return stored;
+		}
+	};
+
+	beforeEach(function() {
+		server = test.server;
+		saves = 0;
+		stored = undefined;
+	});
+
+	/**
+	 * Takes the server down, so that requests are held.
+	 */
+	function goOffline() {
+		server.fault('post', {status: 503}, Infinity);
+		server.fault('poll', {status: 503}, Infinity);
+		server.fault('delete', {status: 503}, Infinity);
+	}
+
+	/**
+	 * Holds invocations of the shared log while the server is down, then
+	 * leaves them behind as a reloaded page would, with the server's session
+	 * still alive.
+	 * @returns {promise} a promise which resolves once they're left behind
+	 */
+	function leaveBehind() {
+		return test.connect({
+			offline: {storage: storage}
+		}).then(function(connection) {
+			return connection.get('log', 'main').then(function(log) {
+				goOffline();
+				log.add('first').then(undefined, fixture.ignore);
+				log.add('second').then(undefined, fixture.ignore);
+				return server.tick(60);
+			}).then(function() {
+				connection.disconnect();
+				server.clearFaults();
+			});
+		});
+	}
+
+	/**
+	 * Gets the actions of the requests POSTed to a session.
+	 * @param connectionID the ID of the session
+	 * @returns {Array} the actions, in the order they were sent
+	 */
+	function actions(connectionID) {
+		return test.posted(connectionID).map(function(req) {
+			return req.action;
+		});
+	}
+
+	it('saves only invocations of live remote objects', function() {
+		var connection;
+		var echo;
+		return test.connect({
+			offline: {storage: storage}
+		}).then(function(c) {
+			connection = c;
+			return connection.create('Echo');
+		}).then(function(ro) {
+			echo = ro;
+
+			// sent before the outage, cancelled during it
+			echo.hang.withOptions({timeout: 50})().then(undefined,
+				fixture.ignore);
+			return server.flush();
+		}).then(function() {
+			goOffline();
+			echo.echo('held').then(undefined, fixture.ignore);
+			echo.echo(echo).then(undefined, fixture.ignore);
+			connection.create('Echo').then(undefined, fixture.ignore);
+			return server.tick(60);
+		}).then(function() {
+			expect(connection.stats().state.queueDepth).to.be.above(3);
+			expect(stored.objects).to.have.length(1);
+			expect(stored.objects[0].obtain).to.deep.equal({
+				action: 'create',
+				name: 'Echo'
+			});
+			expect(stored.objects[0].invocations.map(function(req) {
+				return req.method + ':' + req.args[0];
+			})).to.deep.equal(['echo:held']);
+		});
+	});
+
+	it('writes to storage only when the outbox changes', function() {
+		var echo;
+		return test.connect({
+			offline: {storage: storage},
+			reconnect: {delay: 100}
+		}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function(ro) {
+			echo = ro;
+			return echo.echo('online');
+		}).then(function() {
+			expect(saves).to.equal(0);
+			goOffline();
+			echo.echo('held').then(undefined, fixture.ignore);
+			return server.tick(1000);
+		}).then(function() {
+			expect(saves).to.equal(1);
+			expect(stored.objects[0].invocations).to.have.length(1);
+			server.clearFaults();
+			return server.tick(1000);
+		}).then(function() {
+			expect(saves).to.equal(2);
+			expect(stored.objects).to.have.length(0);
+			return echo.echo('online again');
+		}).then(function() {
+			expect(saves).to.equal(2);
+		});
+	});
+
+	it('expires held requests on time by the context clock', function() {
+		var expired;
+		return test.connect({
+			offline: {maxAge: 1000},
+			reconnect: {delay: 60000}
+		}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function(echo) {
+			goOffline();
+			echo.echo('held').then(undefined, function(error) {
+				expired = error;
+			});
+			return server.tick(999);
+		}).then(function() {
+			expect(expired).to.equal(undefined);
+			return server.tick(1);
+		}).then(function() {
+			expect(expired).to.be.an.instanceof(errors.TimeoutError);
+		});
+	});
+
+	it('replays held invocations after a reload', function() {
+		return leaveBehind().then(function() {
+			expect(entries).to.deep.equal([]);
+			return test.connect({offline: {storage: storage}});
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(entries).to.deep.equal(['first', 'second']);
+			expect(actions('c2')).to.deep.equal(
+				['get', 'invoke', 'invoke', 'detach']);
+			expect(stored.objects).to.have.length(0);
+		});
+	});
+
+	it('re-creates remote objects to replay invocations on', function() {
+		return test.connect({
+			offline: {storage: storage}
+		}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function(echo) {
+			goOffline();
+			echo.echo('held').then(undefined, fixture.ignore);
+			return server.tick(60);
+		}).then(function() {
+			test.connection.disconnect();
+			server.clearFaults();
+			return test.connect({offline: {storage: storage}});
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(actions('c2')).to.deep.equal(
+				['create', 'invoke', 'destroy']);
+			expect(test.posted('c2')[1].args).to.deep.equal(['held']);
+			expect(server.instances('Echo')).to.have.length(1);
+		});
+	});
+
+	it('drops invocations of remote objects it cannot obtain', function() {
+		return leaveBehind().then(function() {
+			stored.objects[0].obtain.key = 'gone';
+			return test.connect({offline: {storage: storage}});
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(actions('c2')).to.deep.equal(['get']);
+			expect(entries).to.deep.equal([]);
+			expect(stored.objects).to.have.length(0);
+		});
+	});
+});
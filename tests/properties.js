@@ -0,0 +1,80 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('properties', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Gauge', function(spec, instance) {
+			instance.property('level', 1, true);
+			if (spec && spec.locked) {
+				instance.setProperty = function() {
+					throw new Error('locked');
+				};
+			}
+			return {};
+		});
+	});
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	it('follows the changes the server pushes', function() {
+		var changes = [];
+		return test.connect().then(function(connection) {
+			return connection.create('Gauge');
+		}).then(function(gauge) {
+			gauge.on('change:level', function(value, previous) {
+				changes.push([value, previous]);
+			});
+			server.instances('Gauge')[0].property('level', 2);
+			return server.flush().then(function() {
+				expect(gauge.level).to.equal(2);
+				expect(changes).to.deep.equal([[2, 1]]);
+			});
+		});
+	});
+
+	it('rolls back a property the server fails to set', function() {
+		var changes = [];
+		var gauge;
+		return test.connect().then(function(connection) {
+			return connection.create('Gauge', {locked: true});
+		}).then(function(ro) {
+			gauge = ro;
+			gauge.on('change:level', function(value, previous) {
+				changes.push([value, previous]);
+			});
+			gauge.level = 5;
+			expect(gauge.level).to.equal(5);
+			return server.flush();
+		}).then(function() {
+			expect(gauge.level).to.equal(1);
+			expect(changes).to.deep.equal([[5, 1], [1, 5]]);
+			expect(server.instances('Gauge')[0].properties.level.value)
+				.to.equal(1);
+		});
+	});
+
+	it('gives up on a server pushing invalid values', function() {
+		var lost;
+		return test.connect().then(function(connection) {
+			connection.on('loss', function(error) {
+				lost = error;
+			});
+			return connection.create('Gauge');
+		}).then(function(gauge) {
+			// a reference to an instance the client has never heard of
+			server.instances('Gauge')[0].property('level', {$instance: 9});
+			return server.flush().then(function() {
+				expect(lost).to.be.an.instanceof(errors.ConnectionLostError);
+				expect(lost.cause).to.be.an.instanceof(errors.ProtocolError);
+				expect(test.connection.state).to.equal('closed');
+				expect(gauge.level).to.equal(1);
+			});
+		});
+	});
+});
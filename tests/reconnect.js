@@ -0,0 +1,140 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('reconnection', function() {
+	var test = fixture.setUp();
+	var server;
+	var connection;
+	var echo;
+	var events;
+
+	beforeEach(function() {
+		server = test.server;
+		events = [];
+	});
+
+	/**
+	 * Connects, keeping track of the reconnection events, and creates a
+	 * remote object to invoke.
+	 * @param [options] connection options
+	 * @returns {promise} a promise which resolves once connected
+	 */
+	function connect(options) {
+		return test.connect(options).then(function(c) {
+			connection = c;
+			['reconnecting', 'reconnected', 'loss'].forEach(function(event) {
+				connection.on(event, function(arg) {
+					events.push(event === 'reconnecting' ? event + ':' + arg :
+						event);
+				});
+			});
+			return connection.create('Echo');
+		}).then(function(ro) {
+			echo = ro;
+		});
+	}
+
+	it('resumes the session after a failed poll', function() {
+		return connect({reconnect: {delay: 100}}).then(function() {
+			// the next poll, issued once this result arrives, fails
+			server.fault('poll', {status: 503});
+			return echo.echo(1);
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1']);
+			expect(connection.state).to.equal('reconnecting');
+			return server.tick(100);
+		}).then(function() {
+			return echo.echo(2);
+		}).then(function(value) {
+			expect(value).to.equal(2);
+			expect(events).to.deep.equal(['reconnecting:1', 'reconnected']);
+			expect(connection.state).to.equal('open');
+			expect(server.instances('Echo')).to.have.length(1);
+		});
+	});
+
+	it('resends requests whose post failed', function() {
+		var result;
+		return connect({reconnect: {delay: 100}}).then(function() {
+			server.fault('post', {status: 503});
+			echo.echo('again').then(function(value) {
+				result = value;
+			});
+			return server.flush();
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1']);
+			expect(result).to.equal(undefined);
+			return server.tick(100);
+		}).then(function() {
+			expect(result).to.equal('again');
+			expect(events).to.deep.equal(['reconnecting:1', 'reconnected']);
+		});
+	});
+
+	it('backs off between attempts and gives up', function() {
+		var lost;
+		return connect({
+			reconnect: {delay: 100, factor: 2, retries: 2}
+		}).then(function() {
+			server.fault('post', {status: 503}, Infinity);
+			echo.echo('lost').then(undefined, function(error) {
+				lost = error;
+			});
+			return server.flush();
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1']);
+			return server.tick(100);
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1', 'reconnecting:2']);
+			return server.tick(199);
+		}).then(function() {
+			expect(events).to.have.length(2);
+			return server.tick(1);
+		}).then(function() {
+			expect(events).to.deep.equal(
+				['reconnecting:1', 'reconnecting:2', 'loss']);
+			expect(lost).to.be.an.instanceof(errors.ConnectionLostError);
+			expect(connection.state).to.equal('closed');
+		});
+	});
+
+	it('does not take a timed out poll for a sign of life', function() {
+		return connect({
+			pollTimeout: 1000,
+			reconnect: {delay: 100}
+		}).then(function() {
+			server.fault('poll', {status: 503});
+			return echo.echo(1);
+		}).then(function() {
+			return server.tick(100);
+		}).then(function() {
+			// the poll resuming the session times out, unanswered
+			return server.tick(2500);
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1']);
+			expect(connection.state).to.equal('reconnecting');
+			return echo.echo(2);
+		}).then(function() {
+			expect(events).to.deep.equal(['reconnecting:1', 'reconnected']);
+		});
+	});
+
+	it('closes without reconnecting unless asked to', function() {
+		var lost;
+		return connect().then(function() {
+			server.fault('post', {status: 503});
+			return echo.echo(1).then(undefined, function(error) {
+				lost = error;
+			});
+		}).then(function() {
+			expect(events).to.deep.equal(['loss']);
+			expect(lost).to.be.an.instanceof(errors.ConnectionLostError);
+			expect(connection.state).to.equal('closed');
+		});
+	});
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('instance references', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Registry', function(spec, instance) {
+			var kept;
+			return {
+				keep: function() {
+					kept = kept || instance.create('Echo');
+					return kept;
+				},
+				identify: function(echo) {
+					return echo.name + ':' + echo.id;
+				},
+				announce: function() {
+					instance.fire('found', instance.create('Echo'));
+				},
+				garble: function() {
+					instance.fire('found', {$instance: 42});
+				}
+			};
+		});
+	});
+	var server;
+	var connection;
+	var registry;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect().then(function(c) {
+			connection = c;
+			return connection.create('Registry');
+		}).then(function(ro) {
+			registry = ro;
+		});
+	});
+
+	it('turns references in results into remote objects', function() {
+		var kept;
+		return registry.keep().then(function(echo) {
+			kept = echo;
+			return echo.echo('kept');
+		}).then(function(value) {
+			expect(value).to.equal('kept');
+			return registry.keep();
+		}).then(function(echo) {
+			expect(echo).to.equal(kept);
+		});
+	});
+
+	it('passes remote objects as references', function() {
+		return connection.create('Echo').then(function(echo) {
+			return registry.identify(echo);
+		}).then(function(identity) {
+			expect(identity).to.equal('Echo:2');
+			expect(test.posted()[2].args).to.deep.equal([{$instance: 2}]);
+		});
+	});
+
+	it('turns references in event arguments into remote objects', function() {
+		var found;
+		registry.on('found', function(echo) {
+			found = echo;
+		});
+		return server.flush().then(function() {
+			return registry.announce();
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			return found.echo('found');
+		}).then(function(value) {
+			expect(value).to.equal('found');
+		});
+	});
+
+	it('gives up on events referring to unknown instances', function() {
+		var lost;
+		var found = [];
+		connection.on('loss', function(error) {
+			lost = error;
+		});
+		registry.on('found', function(echo) {
+			found.push(echo);
+		});
+		return server.flush().then(function() {
+			registry.garble().then(undefined, fixture.ignore);
+			return server.flush();
+		}).then(function() {
+			expect(lost).to.be.an.instanceof(errors.ConnectionLostError);
+			expect(lost.cause).to.be.an.instanceof(errors.ProtocolError);
+			expect(found).to.deep.equal([]);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fixture = require('./helpers/fixture.js');
+
+describe('SSE transport', function() {
+	var test = fixture.setUp();
+	var server;
+	var sources;
+	var context;
+
+	beforeEach(function() {
+		server = test.server;
+		sources = [];
+
+		// the mock server's context, able to open event sources the tests drive
+		context = Object.create(server.context);
+		context.openEventSource = function(url) {
+			var source = {
+				url: url,
+				readyState: 0,
+				close: function() {
+					source.readyState = 2;
+				}
+			};
+			sources.push(source);
+			return source;
+		};
+	});
+
+	/**
+	 * Connects over an event stream, reconnecting shortly should it fail.
+	 * @returns {promise} a promise for the connection
+	 */
+	function connect() {
+		return test.connect({
+			transport: 'sse',
+			pollTimeout: 1000,
+			reconnect: {delay: 100}
+		}, context);
+	}
+
+	/**
+	 * Sends a message the way the server would, over an event source.
+	 * @param source the event source
+	 * @param id the message ID
+	 * @param message the message
+	 */
+	function push(source, id, message) {
+		source.onmessage({
+			lastEventId: String(id),
+			data: JSON.stringify(message)
+		});
+	}
+
+	/**
+	 * Creates an Echo, answering its creation over an event source.
+	 * @param connection the connection
+	 * @param source the event source
+	 * @param id the ID of the message answering the creation
+	 * @returns {promise} a promise for the remote object
+	 */
+	function create(connection, source, id) {
+		var created = connection.create('Echo');
+		return server.flush().then(function() {
+			var posted = test.posted();
+			push(source, id, {
+				requestID: posted[posted.length - 1].requestID,
+				instanceID: id + 1,
+				methods: ['echo']
+			});
+			return created;
+		});
+	}
+
+	it('delivers the messages of the event stream', function() {
+		return connect().then(function(connection) {
+			expect(sources[0].url).to.equal('mock://jsro/c1');
+			sources[0].onopen();
+			return create(connection, sources[0], 0);
+		}).then(function(echo) {
+			var echoed = echo.echo('hi');
+			return server.flush().then(function() {
+				// a message received before is ignored
+				push(sources[0], 0, {requestID: 1, result: 'again'});
+				push(sources[0], 1, {requestID: 1, result: 'hi'});
+				return echoed;
+			});
+		}).then(function(value) {
+			expect(value).to.equal('hi');
+			expect(test.posted()[1]).to.include(
+				{action: 'invoke', method: 'echo'});
+		});
+	});
+
+	it('lets the event source reopen by itself for a while', function() {
+		var connection;
+		return connect().then(function(result) {
+			connection = result;
+			sources[0].onopen();
+			sources[0].onerror({});
+			return server.tick(500);
+		}).then(function() {
+			sources[0].onopen();
+			return server.tick(1000);
+		}).then(function() {
+			expect(sources).to.have.length(1);
+			expect(connection.stats().state.transport).to.equal('sse');
+		});
+	});
+
+	it('reconnects after the last message once the stream fails', function() {
+		var connection;
+		return connect().then(function(result) {
+			connection = result;
+			sources[0].onopen();
+			return create(connection, sources[0], 4);
+		}).then(function() {
+			sources[0].readyState = 2;
+			sources[0].onerror({});
+			return server.tick(100);
+		}).then(function() {
+			expect(sources).to.have.length(2);
+			expect(sources[1].url).to.equal('mock://jsro/c1/4');
+			sources[1].onopen();
+			return server.flush();
+		}).then(function() {
+			return create(connection, sources[1], 5);
+		}).then(function(echo) {
+			expect(echo.echo).to.be.a('function');
+		});
+	});
+});
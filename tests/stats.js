@@ -0,0 +1,144 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fixture = require('./helpers/fixture.js');
+
+describe('stats and debug log', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Timer', function() {
+			return {
+				wait: function(ms) {
+					return new Promise(function(resolve) {
+						server.context.setTimeout(resolve, ms);
+					});
+				}
+			};
+		});
+	});
+	var server;
+
+	beforeEach(function() {
+		server = test.server;
+	});
+
+	it('times invocations by the context clock', function() {
+		var metrics = [];
+		var waited;
+		return test.connect().then(function(connection) {
+			connection.on('metric', function(metric) {
+				metrics.push(metric);
+			});
+			return connection.create('Timer');
+		}).then(function(timer) {
+			waited = timer.wait(50);
+			return server.flush();
+		}).then(function() {
+			return server.tick(50);
+		}).then(function() {
+			return waited;
+		}).then(function() {
+			var stats = test.connection.stats();
+			expect(stats.invocations.wait).to.deep.equal({
+				count: 1,
+				ok: 1,
+				error: 0,
+				timeout: 0,
+				cancelled: 0,
+				minLatency: 50,
+				maxLatency: 50,
+				lastLatency: 50,
+				averageLatency: 50
+			});
+			expect(stats.batches).to.deep.equal(
+				{count: 2, requests: 2, largest: 1});
+			expect(stats.state.pendingRequests).to.equal(0);
+			expect(metrics.filter(function(metric) {
+				return metric.type !== 'poll';
+			})).to.deep.equal([
+				{type: 'batch', size: 1},
+				{type: 'batch', size: 1},
+				{type: 'invocation', method: 'wait', latency: 50, outcome: 'ok'}
+			]);
+		});
+	});
+
+	it('counts reconnection attempts and successes', function() {
+		return test.connect({
+			reconnect: {delay: 100}
+		}).then(function(connection) {
+			// the next poll, issued once the result arrives, fails
+			server.fault('poll', {status: 503});
+			return connection.create('Echo');
+		}).then(function() {
+			return server.flush();
+		}).then(function() {
+			return server.tick(100);
+		}).then(function() {
+			// the connection is back once a round trip succeeds
+			return test.connection.create('Echo');
+		}).then(function() {
+			expect(test.connection.stats().reconnects).to.deep.equal(
+				{attempts: 1, successes: 1});
+		});
+	});
+
+	it('logs traffic stamped by the context clock', function() {
+		return test.connect({debug: true}).then(function(connection) {
+			return server.tick(25).then(function() {
+				return connection.create('Echo');
+			});
+		}).then(function() {
+			var entries = test.connection.debugLog().filter(function(entry) {
+				return entry.direction !== 'event';
+			});
+			expect(entries.map(function(entry) {
+				return [entry.time, entry.direction, entry.type];
+			})).to.deep.equal([
+				[25, 'out', 'request'],
+				[25, 'in', 'message']
+			]);
+			expect(entries[0].data.action).to.equal('create');
+		});
+	});
+
+	it('logs messages as the interceptors leave them', function() {
+		return test.connect({
+			debug: true,
+			interceptors: [{
+				message: function(message) {
+					if (message.result === 'drop') {
+						return null;
+					}
+					if (message.result === 'rewrite') {
+						return {requestID: message.requestID, result: 'new'};
+					}
+				}
+			}]
+		}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function(echo) {
+			echo.echo('drop');
+			return echo.echo('rewrite');
+		}).then(function() {
+			var messages = test.connection.debugLog().filter(function(entry) {
+				return entry.direction === 'in';
+			});
+			expect(messages.map(function(entry) {
+				return entry.data.result;
+			})).to.deep.equal([undefined, 'new']);
+		});
+	});
+
+	it('keeps only the most recent entries', function() {
+		return test.connect({debug: {size: 2}}).then(function(connection) {
+			return connection.create('Echo');
+		}).then(function(echo) {
+			return echo.echo('last');
+		}).then(function() {
+			var entries = test.connection.debugLog();
+			expect(entries).to.have.length(2);
+			expect(entries[0].data.method).to.equal('echo');
+			expect(entries[1].data.result).to.equal('last');
+		});
+	});
+});
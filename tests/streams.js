@@ -0,0 +1,157 @@
+'use strict';
+
+var expect = require('chai').expect;
+var errors = require('../errors.js');
+var fixture = require('./helpers/fixture.js');
+
+describe('streams', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Source', function() {
+			return {
+				count: function(to) {
+					var chunks = [];
+					for (var i = 1; i <= to; i++) {
+						chunks.push(i);
+					}
+					return chunks;
+				},
+				fail: function() {
+					return Promise.reject(new Error('dried up'));
+				},
+				hang: function() {
+					return new Promise(function() {});
+				}
+			};
+		});
+	});
+	var server;
+	var source;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect().then(function(connection) {
+			return connection.create('Source');
+		}).then(function(ro) {
+			source = ro;
+			server.requests.length = 0;
+		});
+	});
+
+	/**
+	 * Reads a stream to its end.
+	 * @param stream the stream
+	 * @returns {promise} a promise for the chunks read
+	 */
+	function readAll(stream) {
+		var chunks = [];
+		function read() {
+			return stream.next().then(function(item) {
+				if (item.done) {
+					return chunks;
+				}
+				chunks.push(item.value);
+				return read();
+			});
+		}
+		return read();
+	}
+
+	it('delivers chunks until the stream ends', function() {
+		var stream = source.count.withOptions({stream: true})(3);
+		return readAll(stream).then(function(chunks) {
+			expect(chunks).to.deep.equal([1, 2, 3]);
+			return stream.next();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+			expect(test.posted()[0].stream).to.deep.equal({credit: 16});
+		});
+	});
+
+	it('is its own async iterator', function() {
+		var stream = source.count.withOptions({stream: true})(1);
+		expect(stream[global.Symbol.asyncIterator]()).to.equal(stream);
+		return readAll(stream);
+	});
+
+	it('grants the server credit as chunks are consumed', function() {
+		var stream = source.count.withOptions({stream: true, credit: 4})(5);
+
+		// the chunks are consumed as they arrive, before the stream ends
+		return Promise.all([stream.next(), stream.next()]).then(function() {
+			return server.flush();
+		}).then(function() {
+			var invocation = test.posted()[0];
+			expect(invocation.stream).to.deep.equal({credit: 4});
+			expect(test.posted()[1]).to.deep.equal({
+				action: 'credit',
+				target: invocation.requestID,
+				credit: 2,
+				requestID: invocation.requestID + 1
+			});
+		});
+	});
+
+	it('fails with the error the server streams', function() {
+		var stream = source.fail.withOptions({stream: true})();
+		return stream.next().then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.RemoteInvocationError);
+			expect(error.message).to.equal('dried up');
+		});
+	});
+
+	it('cancels the invocation when the consumer stops early', function() {
+		var stream = source.hang.withOptions({stream: true})();
+		return server.flush().then(function() {
+			return stream.return();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+			return server.flush();
+		}).then(function() {
+			var invocation = test.posted()[0];
+			expect(test.posted()[1]).to.deep.equal({
+				action: 'cancel',
+				target: invocation.requestID,
+				requestID: invocation.requestID + 1
+			});
+		});
+	});
+
+	it('drops unconsumed chunks when the consumer stops', function() {
+		var stream = source.count.withOptions({stream: true})(3);
+		return server.flush().then(function() {
+			// the stream has ended, with its chunks still buffered
+			return stream.return();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+			return stream.next();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+			expect(test.posted()).to.have.length(1);
+		});
+	});
+
+	it('drops the error when the consumer stops', function() {
+		var stream = source.fail.withOptions({stream: true})();
+		return server.flush().then(function() {
+			return stream.return();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+			return stream.next();
+		}).then(function(item) {
+			expect(item).to.deep.equal({value: undefined, done: true});
+		});
+	});
+
+	it('rejects pending reads when aborted', function() {
+		var stream = source.hang.withOptions({stream: true})();
+		var read = stream.next();
+		stream.abort();
+		return read.then(function() {
+			throw new Error('expected failure');
+		}, function(error) {
+			expect(error).to.be.an.instanceof(errors.CancellationError);
+		});
+	});
+});
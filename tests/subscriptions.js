@@ -0,0 +1,152 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fixture = require('./helpers/fixture.js');
+
+describe('subscriptions', function() {
+	var test = fixture.setUp(function(server) {
+		server.factory('Chat', function(spec, chatInstance) {
+			chatInstance.property('topic', 'none');
+			return {
+				setTopic: function(topic) {
+					chatInstance.property('topic', topic);
+				}
+			};
+		});
+	}, {
+		matches: function(filter, event, args) {
+			return filter.room === args[0];
+		}
+	});
+	var server;
+	var connection;
+	var chat;
+	var instance;
+
+	beforeEach(function() {
+		server = test.server;
+		return test.connect({debug: true}).then(function(c) {
+			connection = c;
+			return connection.create('Chat');
+		}).then(function(ro) {
+			chat = ro;
+			instance = server.instances('Chat')[0];
+			server.requests.length = 0;
+		});
+	});
+
+	/**
+	 * Gets the requests posted since the chat was created.
+	 * @returns {Array} the requests, each as its action and the event or
+	 * method it concerns
+	 */
+	function posted() {
+		return test.posted().map(function(req) {
+			return req.action + ':' + (req.event || req.method);
+		});
+	}
+
+	it('tells the server which events are listened to', function() {
+		function listener() {}
+		chat.on('message', listener);
+		chat.on('message', function() {});
+		chat.on('change:topic', function() {});
+		return server.flush().then(function() {
+			expect(instance.subscriptions).to.deep.equal({message: null});
+			chat.off('message', listener);
+			return server.flush();
+		}).then(function() {
+			expect(instance.subscriptions).to.deep.equal({message: null});
+			chat.off('message');
+			return server.flush();
+		}).then(function() {
+			expect(instance.subscriptions).to.deep.equal({});
+			var sent = posted();
+			expect(sent.pop()).to.equal('unsubscribe:message');
+			expect(sent).to.include('subscribe:message');
+			expect(sent).not.to.include('subscribe:change:topic');
+		});
+	});
+
+	it('is only sent the events listened to', function() {
+		var received = [];
+		chat.on('message', function(room, text) {
+			received.push(room + ':' + text);
+		});
+		return server.flush().then(function() {
+			instance.fire('typing', 'lobby');
+			instance.fire('message', 'lobby', 'hi');
+			return server.flush();
+		}).then(function() {
+			expect(received).to.deep.equal(['lobby:hi']);
+			expect(connection.debugLog().filter(function(entry) {
+				return entry.direction === 'in' && entry.data.event;
+			}).map(function(entry) {
+				return entry.data.event;
+			})).to.deep.equal(['message']);
+		});
+	});
+
+	it('is only sent the events passing a filter', function() {
+		var received = [];
+		chat.on('message', function(room, text) {
+			received.push(room + ':' + text);
+		}, {room: 'lobby'});
+		return server.flush().then(function() {
+			expect(instance.subscriptions).to.deep.equal(
+				{message: [{room: 'lobby'}]});
+			instance.fire('message', 'attic', 'psst');
+			instance.fire('message', 'lobby', 'hi');
+			return server.flush();
+		}).then(function() {
+			expect(received).to.deep.equal(['lobby:hi']);
+		});
+	});
+
+	it('unsubscribes once a one-off listener has heard its event',
+		function() {
+			var received = [];
+			chat.once('message', function(room, text) {
+				received.push(room + ':' + text);
+			});
+			return server.flush().then(function() {
+				instance.fire('message', 'lobby', 'first');
+				return server.flush();
+			}).then(function() {
+				instance.fire('message', 'lobby', 'second');
+				return server.flush();
+			}).then(function() {
+				expect(received).to.deep.equal(['lobby:first']);
+				expect(instance.subscriptions).to.deep.equal({});
+			});
+		});
+
+	it('is sent every event for a wildcard listener', function() {
+		var received = [];
+		chat.on('*', function(event, room) {
+			received.push(event + ':' + room);
+		});
+		return server.flush().then(function() {
+			expect(instance.subscriptions).to.deep.equal({'*': null});
+			instance.fire('typing', 'lobby');
+			instance.fire('message', 'attic', 'psst');
+			return server.flush();
+		}).then(function() {
+			expect(received).to.deep.equal(['typing:lobby', 'message:attic']);
+		});
+	});
+
+	it('follows property changes without subscribing', function() {
+		var changes = [];
+		chat.on('change:topic', function(value, previous) {
+			changes.push(previous + '>' + value);
+		});
+		return chat.setTopic('news').then(function() {
+			return server.flush();
+		}).then(function() {
+			expect(changes).to.deep.equal(['none>news']);
+			expect(chat.topic).to.equal('news');
+			expect(posted()).to.deep.equal(['invoke:setTopic']);
+		});
+	});
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+var expect = require('chai').expect;
+var typegen = require('../typegen.js');
+
+describe('typegen', function() {
+	/**
+	 * Generates the declarations for a single factory.
+	 * @param factory the factory's schema
+	 * @returns {Array} the lines declaring its instances
+	 */
+	function instanceLines(factory) {
+		var lines = typegen.generate({factories: {Thing: factory}})
+			.split('\n');
+		var start = lines.indexOf(
+			'export interface Thing extends RemoteObject<ThingEvents> {');
+		return lines.slice(start + 1, lines.indexOf('}', start));
+	}
+
+	it('declares the factories of a schema', function() {
+		var schema = {
+			factories: {
+				'chat-room': {
+					spec: 'object',
+					methods: [
+						'leave',
+						{
+							name: 'say',
+							doc: 'Says */ something.',
+							params: [
+								{name: 'text', type: 'string'},
+								{
+									name: 'to',
+									type: 'chat-room|null',
+									optional: true
+								}
+							],
+							returns: 'number[]'
+						},
+						{name: 'ping', oneWay: true}
+					],
+					properties: {
+						topic: {type: 'string', writable: true},
+						members: {type: 'string|number[]'}
+					},
+					events: {
+						message: [
+							{name: 'text', type: 'string'},
+							{type: 'remote'}
+						]
+					}
+				}
+			}
+		};
+		expect(typegen.generate(schema, 'schema.json')).to.equal([
+			'// generated by jsro-typegen from schema.json; do not edit',
+			'import {OneWayMethod, RemoteMethod, RemoteObject} from ' +
+				'\'jsro-client\';',
+			'',
+			'export type chatRoomSpec = {[key: string]: any};',
+			'',
+			'export interface chatRoomEvents {',
+			'\t"message": [text: string, arg1: RemoteObject];',
+			'}',
+			'',
+			'export interface chatRoom extends RemoteObject<chatRoomEvents> {',
+			'\t"leave": RemoteMethod<any[], any>;',
+			'\t/** Says *\\/ something. */',
+			'\t"say": RemoteMethod<[text: string, to?: chatRoom | null], ' +
+				'number[]>;',
+			'\t"ping": OneWayMethod<any[]>;',
+			'\t"topic": string;',
+			'\treadonly "members": string | number[];',
+			'}',
+			'',
+			'declare module \'jsro-client\' {',
+			'\tinterface Factories {',
+			'\t\t"chat-room": {spec: chatRoomSpec; object: chatRoom};',
+			'\t}',
+			'}',
+			''
+		].join('\n'));
+	});
+
+	it('converts the types named in the schema', function() {
+		expect(instanceLines({
+			properties: {
+				a: {type: 'boolean|undefined'},
+				b: {type: 'array'},
+				c: {type: 'function'},
+				d: {type: 'string|number[]'},
+				e: {type: 'Thing[]'},
+				f: {}
+			}
+		})).to.deep.equal([
+			'\treadonly "a": boolean | undefined;',
+			'\treadonly "b": any[];',
+			'\treadonly "c": (...args: any[]) => any;',
+			'\treadonly "d": string | number[];',
+			'\treadonly "e": Thing[];',
+			'\treadonly "f": any;'
+		]);
+	});
+
+	it('names parameters the schema leaves unnamed', function() {
+		expect(instanceLines({
+			methods: [{name: 'add', params: [{type: 'number'}, {}]}]
+		})).to.deep.equal([
+			'\t"add": RemoteMethod<[param0: number, param1: any], any>;'
+		]);
+	});
+
+	it('rejects invalid schemas and unknown types', function() {
+		expect(function() {
+			typegen.generate({});
+		}).to.throw('invalid schema; expected factories');
+		expect(function() {
+			typegen.generate({factories: {Thing: {spec: 'Widget'}}});
+		}).to.throw('unknown type: Widget');
+	});
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fixture = require('./helpers/fixture.js');
+
+describe('WebSocket transport', function() {
+	var test = fixture.setUp();
+	var server;
+	var sockets;
+	var context;
+
+	beforeEach(function() {
+		server = test.server;
+		sockets = [];
+
+		// the mock server's context, able to open sockets the tests drive
+		context = Object.create(server.context);
+		context.openWebSocket = function(url) {
+			var socket = {
+				url: url,
+				frames: [],
+				send: function(data) {
+					socket.frames.push(JSON.parse(data));
+				},
+				close: function() {
+					socket.closed = true;
+				}
+			};
+			sockets.push(socket);
+			return socket;
+		};
+	});
+
+	/**
+	 * Connects over a WebSocket, reconnecting shortly should it close.
+	 * @returns {promise} a promise for the connection
+	 */
+	function connect() {
+		return test.connect({
+			transport: 'websocket',
+			reconnect: {delay: 100}
+		}, context);
+	}
+
+	/**
+	 * Answers a request the way the server would, over a socket.
+	 * @param socket the socket
+	 * @param id the message ID
+	 * @param message the message answering the request
+	 */
+	function answer(socket, id, message) {
+		socket.onmessage({data: JSON.stringify([{id: id, message: message}])});
+	}
+
+	it('exchanges requests and messages over the socket', function() {
+		var echo;
+		return connect().then(function(connection) {
+			expect(sockets[0].url).to.equal('mock://jsro/c1');
+			sockets[0].onopen();
+			var created = connection.create('Echo');
+			return server.flush().then(function() {
+				expect(sockets[0].frames).to.deep.equal([
+					[{action: 'create', name: 'Echo', requestID: 0}]
+				]);
+				answer(sockets[0], 0, {
+					requestID: 0,
+					instanceID: 1,
+					methods: ['echo']
+				});
+				return created;
+			});
+		}).then(function(ro) {
+			echo = ro;
+			expect(sockets[0].frames[1]).to.deep.equal({ack: 0});
+			var echoed = echo.echo('hi');
+			return server.flush().then(function() {
+				answer(sockets[0], 1, {requestID: 1, result: 'hi'});
+				return echoed;
+			});
+		}).then(function(value) {
+			expect(value).to.equal('hi');
+			expect(server.requests.filter(function(req) {
+				return req.method !== 'GET' || req.url !== server.url;
+			})).to.have.length(0);
+		});
+	});
+
+	it('falls back to long polling if the socket fails to open', function() {
+		return connect().then(function(connection) {
+			var created = connection.create('Echo');
+			sockets[0].onerror({});
+			expect(sockets[0].closed).to.equal(true);
+			return created;
+		}).then(function(echo) {
+			return echo.echo('polled');
+		}).then(function(value) {
+			expect(value).to.equal('polled');
+			expect(test.posted().map(function(req) {
+				return req.action;
+			})).to.deep.equal(['create', 'invoke']);
+		});
+	});
+
+	it('resends requests left unanswered by a closed socket', function() {
+		var result;
+		return connect().then(function(connection) {
+			sockets[0].onopen();
+			connection.create('Echo').then(function(ro) {
+				result = ro;
+			});
+			return server.flush();
+		}).then(function() {
+			expect(sockets[0].frames).to.have.length(1);
+
+			// the socket closes before the server answers
+			sockets[0].onclose({});
+			return server.tick(100);
+		}).then(function() {
+			expect(sockets).to.have.length(2);
+			sockets[1].onopen();
+			return server.flush();
+		}).then(function() {
+			var resent = sockets[1].frames[0][0];
+			expect(resent.action).to.equal('create');
+			answer(sockets[1], 0, {
+				requestID: resent.requestID,
+				instanceID: 1,
+				methods: ['echo']
+			});
+			return server.flush();
+		}).then(function() {
+			expect(result).to.be.an('object');
+		});
+	});
+});
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Generates TypeScript interfaces for the remote objects a JSRO server offers
+ * from its schema, so they can be used with type checking:
+ *
+ *     jsro-typegen <schema file or url> [output file]
+ *
+ * The schema is a JSON object with a 'factories' property indexing the
+ * server's factories by name. Each factory may describe the 'spec' it creates
+ * instances from (a type), the 'methods' of its instances (descriptors as
+ * sent in create responses, with the type of each method's result as
+ * 'returns'), their 'properties' (indexed by name, each with a 'type' and
+ * whether it is 'writable') and the 'events' they fire (indexed by name, each
+ * an array of parameter descriptors for the event's arguments).
+ *
+ * Types are named as in method descriptors: any of the types reported by
+ * typeof, 'null', 'array', 'remote', 'any', the name of a factory (for
+ * instances of it), any of these followed by '[]' for an array of them, or
+ * several separated by '|'.
+ */
+
+/**
+ * Generates the TypeScript declarations for a schema.
+ * @param schema the schema
+ * @param [source] where the schema came from, noted in the output
+ * @returns {string} the declarations
+ */
+module.exports.generate = function(schema, source) {
+	if (!schema || typeof schema.factories !== 'object') {
+		throw new Error('invalid schema; expected factories');
+	}
+	var factories = schema.factories;
+	var names = Object.keys(factories);
+
+	var lines = [
+		'// generated by jsro-typegen' + (source ? ' from ' + source : '') +
+		'; do not edit',
+		'import {OneWayMethod, RemoteMethod, RemoteObject} from ' +
+		'\'jsro-client\';',
+		''
+	];
+
+	names.forEach(function(name) {
+		var factory = factories[name];
+		var typeName = identifier(name);
+
+		// the spec its instances are created from
+		lines.push('export type ' + typeName + 'Spec = ' +
+			tsType(factory.spec, names) + ';');
+		lines.push('');
+
+		// the events they fire
+		var events = factory.events || {};
+		lines.push('export interface ' + typeName + 'Events {');
+		Object.keys(events).forEach(function(event) {
+			lines.push('\t' + JSON.stringify(event) + ': ' +
+				tsParams(events[event], names, true) + ';');
+		});
+		lines.push('}');
+		lines.push('');
+
+		// and the instances themselves
+		lines.push('export interface ' + typeName + ' extends RemoteObject<' +
+			typeName + 'Events> {');
+		(factory.methods || []).forEach(function(method) {
+			if (typeof method === 'string') {
+				method = {name: method};
+			}
+			if (method.doc) {
+				lines.push('\t/** ' + method.doc.replace(/\*\//g, '*\\/') +
+					' */');
+			}
+			var params = tsParams(method.params, names, false);
+			lines.push('\t' + JSON.stringify(method.name) + ': ' +
+				(method.oneWay ?
+					'OneWayMethod<' + params + '>' :
+					'RemoteMethod<' + params + ', ' +
+					tsType(method.returns, names) + '>') +
+				';');
+		});
+		var properties = factory.properties || {};
+		Object.keys(properties).forEach(function(property) {
+			var descriptor = properties[property];
+			lines.push('\t' + (descriptor.writable ? '' : 'readonly ') +
+				JSON.stringify(property) + ': ' +
+				tsType(descriptor.type, names) + ';');
+		});
+		lines.push('}');
+		lines.push('');
+	});
+
+	// make Connection.create() and get() aware of the factories
+	lines.push('declare module \'jsro-client\' {');
+	lines.push('\tinterface Factories {');
+	names.forEach(function(name) {
+		var typeName = identifier(name);
+		lines.push('\t\t' + JSON.stringify(name) + ': {spec: ' + typeName +
+			'Spec; object: ' + typeName + '};');
+	});
+	lines.push('\t}');
+	lines.push('}');
+
+	return lines.join('\n') + '\n';
+};
+
+/**
+ * Converts a factory name to a TypeScript identifier.
+ * @param name the factory name
+ * @returns {string} the identifier
+ */
+function identifier(name) {
+	var id = String(name).replace(/[^A-Za-z0-9_$]+(.)?/g, function(m, c) {
+		return c ? c.toUpperCase() : '';
+	});
+	return /^[0-9]/.test(id) ? '_' + id : id;
+}
+
+/**
+ * Converts a type named in the schema to a TypeScript type.
+ * @param type the type
+ * @param factories the names of the schema's factories
+ * @returns {string} the TypeScript type
+ */
+function tsType(type, factories) {
+	if (!type) {
+		return 'any';
+	}
+	return String(type).split('|').map(function(part) {
+		part = part.trim();
+		if (part.substr(-2) === '[]') {
+			var element = tsType(part.substr(0, part.length - 2), factories);
+			return /\W/.test(element) ? '(' + element + ')[]' : element + '[]';
+		}
+		switch (part) {
+			case 'string':
+			case 'number':
+			case 'boolean':
+			case 'bigint':
+			case 'undefined':
+			case 'null':
+			case 'any':
+				return part;
+			case 'object':
+				return '{[key: string]: any}';
+			case 'array':
+				return 'any[]';
+			case 'function':
+				return '(...args: any[]) => any';
+			case 'remote':
+				return 'RemoteObject';
+		}
+		if (factories.indexOf(part) >= 0) {
+			return identifier(part);
+		}
+		throw new Error('unknown type: ' + part);
+	}).join(' | ');
+}
+
+/**
+ * Converts parameter descriptors to a TypeScript tuple type.
+ * @param params the parameter descriptors, or undefined if unknown
+ * @param factories the names of the schema's factories
+ * @param event true if the parameters are those of an event
+ * @returns {string} the tuple type
+ */
+function tsParams(params, factories, event) {
+	if (!params) {
+		return 'any[]';
+	}
+	return '[' + params.map(function(param, i) {
+		var name = identifier(param.name || (event ? 'arg' : 'param') + i);
+		return name + (param.optional ? '?' : '') + ': ' +
+			tsType(param.type, factories);
+	}).join(', ') + ']';
+}
+
+/**
+ * Reads a schema from a file or fetches it from a url.
+ * @param source the file name or url
+ * @returns {promise} a promise for the schema
+ */
+function readSchema(source) {
+	if (/^https?:/.test(source)) {
+		return require('./nodeContext.js').create().request('GET', source);
+	}
+	return new Promise(function(resolve, reject) {
+		require('fs').readFile(source, 'utf8', function(err, text) {
+			if (err) {
+				reject(err);
+				return;
+			}
+			try {
+				resolve(JSON.parse(text));
+			} catch (e) {
+				reject(e);
+			}
+		});
+	});
+}
+
+// run as a command if we're not just being required
+if (require.main === module) {
+	var args = process.argv.slice(2);
+	if (!args.length) {
+		console.error('usage: jsro-typegen <schema file or url> [output file]');
+		process.exit(1);
+	}
+	readSchema(args[0]).then(function(schema) {
+		var output = module.exports.generate(schema, args[0]);
+		if (args[1]) {
+			require('fs').writeFileSync(args[1], output);
+		} else {
+			process.stdout.write(output);
+		}
+	}).catch(function(error) {
+		console.error('jsro-typegen: ' + (error.message || error));
+		process.exit(1);
+	});
+}
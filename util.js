@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Creates an error describing an unsuccessful response.
+ * @param status the response status code
+ * @param [body] the response body text
+ * @returns {Error}
+ */
+module.exports.statusError = function(status, body) {
+	var error = new Error('request failed with status ' + status);
+	error.status = status;
+	error.body = body;
+	return error;
+};
+
+/**
+ * Creates an error describing an aborted request.
+ * @returns {Error}
+ */
+module.exports.abortError = function() {
+	var error = new Error('request aborted');
+	error.aborted = true;
+	return error;
+};
+
+/**
+ * Gets the time on a context's clock, if it has one.
+ * @param context a functionality context, which may provide a 'now'
+ * function in place of Date.now()
+ * @returns {number} the current time in milliseconds
+ */
+module.exports.now = function(context) {
+	return context.now ? context.now() : Date.now();
+};
+
+/**
+ * Makes a shallow copy of an object.
+ * @param [obj] the object
+ * @returns {Object} the copy, or an empty object if there was nothing to copy
+ */
+module.exports.copy = function(obj) {
+	var copied = {};
+	Object.keys(obj || {}).forEach(function(key) {
+		copied[key] = obj[key];
+	});
+	return copied;
+};
+
+/**
+ * Determines whether a value is a plain object, as opposed to an array,
+ * a Date, a Map, etc.
+ * @param value the value
+ * @returns {boolean} true if the value is a plain object
+ */
+module.exports.isPlainObject = function(value) {
+	if (typeof value !== 'object' || value === null) {
+		return false;
+	}
+	var proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+};
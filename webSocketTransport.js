@@ -0,0 +1,325 @@
+'use strict';
+
+var errors = require('./errors.js');
+
+/**
+ * Creates a new WebSocket transport, which carries both outgoing batches of
+ * requests and incoming messages over a single socket. If the context cannot
+ * open WebSockets or the socket fails before it opens, the transport falls
+ * back to long polling.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @returns {WebSocketTransport} a new active transport
+ */
+module.exports.create = function(url,
+								 context,
+								 connectionID,
+								 options,
+								 onMessages,
+								 onLoss,
+								 onAlive,
+								 latestID) {
+	return new WebSocketTransport(
+		url,
+		context,
+		connectionID,
+		options,
+		onMessages,
+		onLoss,
+		onAlive,
+		latestID);
+};
+
+/**
+ * A transport which exchanges requests and messages over a WebSocket.
+ *
+ * Frames sent by the server are arrays of messages with IDs, exactly as
+ * returned by a poll request. Frames sent by the client are either arrays of
+ * requests, exactly as POSTed by the long poll transport, or objects with an
+ * 'ack' property acknowledging the latest message ID received.
+ * @param url the base url on which to perform requests
+ * @param context a functionality context allowing the JSRO library to operate
+ * in whatever environment it is deployed in
+ * @param connectionID the ID of the connection to transport messages for
+ * @param options normalized connection options
+ * @param onMessages a callback to invoke with received messages
+ * @param onLoss a callback to invoke if the transport fails
+ * @param onAlive a callback to invoke whenever a round trip with the server
+ * succeeds
+ * @param latestID the ID of the latest message already received
+ * @constructor
+ */
+function WebSocketTransport(url,
+							context,
+							connectionID,
+							options,
+							onMessages,
+							onLoss,
+							onAlive,
+							latestID) {
+	var self = this;
+
+	// our socket, until we fall back to long polling
+	var socket;
+
+	// whether our socket has opened
+	var open = false;
+
+	// the long poll transport we've fallen back to, if any
+	var fallback;
+
+	// batches sent before the socket opened, with their deferred results
+	var waiting = [];
+
+	// the IDs of requests handed to the socket which haven't been answered
+	var unanswered = [];
+
+	// keep track of when we are stopped
+	var stopped = false;
+
+	/**
+	 * The name of this kind of transport.
+	 */
+	self.name = 'websocket';
+
+	/**
+	 * Sends a batch of requests to the server.
+	 * @param requests the requests to send
+	 * @returns {promise} a promise which resolves once the requests have been
+	 * handed to the socket (see unanswered()); the promise will also have an
+	 * 'abort' function property
+	 */
+	self.send = function(requests) {
+		if (fallback) {
+			return fallback.send(requests);
+		}
+
+		var deferred = context.defer();
+		if (open) {
+			hand(requests, deferred);
+		} else {
+			// hold on to it until the socket opens (or we fall back)
+			waiting.push({requests: requests, deferred: deferred});
+		}
+
+		// there's no taking back what's been handed to the socket
+		deferred.promise.abort = function() {
+			waiting = waiting.filter(function(w) {
+				return w.deferred !== deferred;
+			});
+		};
+
+		return deferred.promise;
+	};
+
+	/**
+	 * Gets the IDs of the requests handed to the socket whose results haven't
+	 * arrived. Should the socket close, they may never have reached the
+	 * server and must be sent again.
+	 * @returns {Array} the request IDs
+	 */
+	self.unanswered = function() {
+		return fallback ? [] : unanswered.slice();
+	};
+
+	/**
+	 * Stops this transport. No more messages will be received.
+	 */
+	self.stop = function() {
+		if (stopped) {
+			return;
+		}
+		stopped = true;
+		if (fallback) {
+			fallback.stop();
+		} else if (socket) {
+			socket.close();
+		}
+	};
+
+	/**
+	 * Gets the ID of the latest message received by this transport.
+	 * @returns {number} the latest message ID, or -1 if no messages have been
+	 * received
+	 */
+	self.getLatestID = function() {
+		return fallback ? fallback.getLatestID() : latestID;
+	};
+
+	/**
+	 * Handles the socket opening.
+	 */
+	function onOpen() {
+		if (stopped) {
+			return;
+		}
+		open = true;
+		onAlive();
+
+		// send whatever was waiting for us
+		var batches = waiting;
+		waiting = [];
+		batches.forEach(function(batch) {
+			hand(batch.requests, batch.deferred);
+		});
+	}
+
+	/**
+	 * Hands a batch of requests to the socket, keeping track of the requests
+	 * which are to be answered.
+	 * @param requests the requests to send
+	 * @param deferred the deferred result of sending them
+	 */
+	function hand(requests, deferred) {
+		try {
+			socket.send(JSON.stringify(requests));
+		} catch (e) {
+			deferred.reject(e);
+			return;
+		}
+		requests.forEach(function(request) {
+			if (!request.oneWay) {
+				unanswered.push(request.requestID);
+			}
+		});
+		deferred.resolve();
+	}
+
+	/**
+	 * Handles a frame received from the server.
+	 * @param event the socket message event
+	 */
+	function onFrame(event) {
+		if (stopped) {
+			return;
+		}
+
+		var messages;
+		try {
+			messages = JSON.parse(event.data);
+		} catch (e) {
+			fail(new errors.ProtocolError('invalid frame: ' + e.message));
+			return;
+		}
+		if (!Array.isArray(messages)) {
+			fail(new errors.ProtocolError(
+				'invalid frame; expected array of messages'));
+			return;
+		}
+
+		// filter out messages we've already received
+		messages = messages.filter(function(message) {
+			return message.id > latestID;
+		});
+
+		if (messages.length) {
+			// we've got some new messages; save and acknowledge latest ID
+			latestID = messages[messages.length - 1].id;
+			socket.send(JSON.stringify({ack: latestID}));
+
+			// results answer the requests they're for
+			messages.forEach(function(message) {
+				var requestID = message.message && message.message.requestID;
+				if (requestID !== undefined) {
+					unanswered = unanswered.filter(function(id) {
+						return id !== requestID;
+					});
+				}
+			});
+
+			// pass messages (sans ID) to client
+			onMessages(messages.map(function(message) {
+				return message.message;
+			}));
+		}
+
+		if (!stopped) {
+			onAlive();
+		}
+	}
+
+	/**
+	 * Handles the socket failing or closing.
+	 * @param event the socket error or close event
+	 */
+	function onFailure(event) {
+		if (stopped || fallback) {
+			return;
+		}
+		if (open) {
+			var error = new Error('WebSocket closed');
+			error.event = event;
+			fail(error);
+		} else {
+			fallBack();
+		}
+	}
+
+	/**
+	 * Stops this transport and reports its failure.
+	 * @param error the error describing the failure
+	 */
+	function fail(error) {
+		self.stop();
+		onLoss(error);
+	}
+
+	/**
+	 * Falls back to long polling, sending any batches that were waiting for
+	 * the socket to open.
+	 */
+	function fallBack() {
+		if (socket) {
+			socket.onopen = socket.onmessage = undefined;
+			socket.onerror = socket.onclose = undefined;
+			socket.close();
+		}
+		fallback = require('./longPollTransport.js').create(
+			url,
+			context,
+			connectionID,
+			options,
+			onMessages,
+			onLoss,
+			onAlive,
+			latestID);
+		self.name = fallback.name;
+
+		var batches = waiting;
+		waiting = [];
+		batches.forEach(function(batch) {
+			fallback.send(batch.requests).then(
+				batch.deferred.resolve,
+				batch.deferred.reject);
+		});
+	}
+
+	// open our socket, if we can
+	var socketUrl = url.replace(/^http/, 'ws') + connectionID +
+		(latestID >= 0 ? '/' + latestID : '');
+	try {
+		socket = context.openWebSocket ?
+			context.openWebSocket(socketUrl) :
+			undefined;
+	} catch (e) {
+		socket = undefined;
+	}
+	if (socket) {
+		socket.onopen = onOpen;
+		socket.onmessage = onFrame;
+		socket.onerror = onFailure;
+		socket.onclose = onFailure;
+	} else {
+		fallBack();
+	}
+
+	return this;
+}